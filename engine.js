@@ -0,0 +1,906 @@
+/* ============================================================================
+   Budapest Metro — Rules Engine
+   Everything the rules need, without the DOM: boards, rule variants, the
+   seeded deck, section validation, building, rounds and scoring. The browser
+   UI (main.js) drives its own game through these functions, the online relay
+   deals its rooms with them, and Node tools and tests can play headless games
+   with createGame().
+
+   A game is a plain context object:
+     { board, state, lineStates, stationOwner, roundResults }
+   board        — createBoard(): stations, lines, grid, river, transfer station
+   state        — newGameState(): line order, deck, counters, card in play, ...
+   lineStates   — Map<lineId, { segments, endpoints, visited, doubled }>
+   stationOwner — Map<stationId, lineId>
+   roundResults — [{ lineId, PK, PM, PD, FP }] of the finished rounds
+
+   Sections:
+   1) Rule variants
+   2) Board
+   3) Geometry
+   4) Seeded randomness & deck
+   5) Game state & rounds
+   6) Validation & building
+   7) Scoring & objectives
+   8) Headless games (createGame)
+============================================================================ */
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+   1) RULE VARIANTS
+──────────────────────────────────────────────────────────────────────────── */
+// roundDraws: cards per round; typeLimit: the Nth center/side card ends the round;
+// symbolCopies / jokers: cards per symbol and jokers of each type in a deck;
+// junction2/3/4: points per station served by 2/3/4+ lines;
+// transfer: every line may pass through the map's transfer station
+export const RULE_PRESETS = {
+  standard: { name: "Standard", roundDraws: 8, typeLimit: 5, symbolCopies: 1, jokers: 1,
+              junction2: 2, junction3: 5, junction4: 9, transfer: true },
+  short:    { name: "Short", roundDraws: 6, typeLimit: 4, symbolCopies: 1, jokers: 1,
+              junction2: 2, junction3: 5, junction4: 9, transfer: true },
+  long:     { name: "Long", roundDraws: 10, typeLimit: 6, symbolCopies: 2, jokers: 1,
+              junction2: 2, junction3: 5, junction4: 9, transfer: true },
+  house:    { name: "House rules", roundDraws: 8, typeLimit: 5, symbolCopies: 1, jokers: 2,
+              junction2: 3, junction3: 6, junction4: 10, transfer: false },
+};
+export const RULE_LIMITS = {
+  roundDraws: [1, 20], typeLimit: [1, 20], symbolCopies: [1, 4], jokers: [0, 4],
+  junction2: [0, 30], junction3: [0, 30], junction4: [0, 30],
+};
+
+/**
+ * Complete and clamp a rule set; unknown or missing values fall back to the
+ * Standard preset. The name is the matching preset's, otherwise "Custom".
+ */
+export function normalizeRules(rules) {
+  const std = RULE_PRESETS.standard;
+  const out = { transfer: rules?.transfer ?? std.transfer };
+  for (const [key, [min, max]] of Object.entries(RULE_LIMITS)) {
+    const n = Math.round(Number(rules?.[key]));
+    out[key] = Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : std[key];
+  }
+  const preset = Object.values(RULE_PRESETS).find(p => rulesKey(p) === rulesKey(out));
+  out.name = preset ? preset.name : "Custom";
+  return out;
+}
+
+// Compact form for scoreboard entries and the game record, e.g. "8/5/1+1/2-5-9/T"
+export function rulesKey(r) {
+  return `${r.roundDraws}/${r.typeLimit}/${r.symbolCopies}+${r.jokers}/` +
+    `${r.junction2}-${r.junction3}-${r.junction4}/${r.transfer ? "T" : "-"}`;
+}
+
+export function parseRulesKey(key) {
+  const m = String(key || "").match(/^(\d+)\/(\d+)\/(\d+)\+(\d+)\/(\d+)-(\d+)-(\d+)\/([T-])$/);
+  if (!m) return null;
+  const [roundDraws, typeLimit, symbolCopies, jokers, junction2, junction3, junction4] = m.slice(1, 8).map(Number);
+  return normalizeRules({ roundDraws, typeLimit, symbolCopies, jokers, junction2, junction3, junction4, transfer: m[8] === "T" });
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+   2) BOARD
+──────────────────────────────────────────────────────────────────────────── */
+/**
+ * Index a map's stations and lines (same shapes as stations.json / lines.json).
+ * river is a polyline in grid coordinates; transferStation the id every line
+ * may pass through (Budapest: Deák tér), or null.
+ */
+export function createBoard({ stations, lines, grid = { cols: 10, rows: 10 }, river = [], transferStation = null }) {
+  const basic = stations.map(s => ({ id: s.id, x: s.x, y: s.y, type: s.type }));
+  return {
+    stations: basic,
+    stationById: new Map(basic.map(s => [s.id, s])),
+    stationAt: new Map(basic.map(s => [`${s.x},${s.y}`, s])),
+    metaById: new Map(stations.map(s => [s.id, s])),
+    trainStationIds: stations.filter(s => s.train).map(s => s.id),
+    lines: lines.map(l => ({ id: l.id, name: l.name, color: l.color, start: l.start })),
+    grid: { cols: grid.cols, rows: grid.rows },
+    river,
+    transferStation,
+  };
+}
+
+// Full metadata (district, side, train) of a station id
+export function getStationMeta(board, id) {
+  const meta = board.metaById.get(id);
+  if (meta) return meta;
+  const basic = board.stationById.get(id);
+  if (!basic) return null;
+  return { ...basic, train: false, side: null, district: null };
+}
+
+export function lineName(board, lineId) {
+  const line = board.lines.find(l => l.id === lineId);
+  return line ? line.name : `line #${lineId}`;
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+   3) GEOMETRY
+──────────────────────────────────────────────────────────────────────────── */
+export function isStraightOrDiag(a, b) {
+  const dx = Math.abs(a.x - b.x);
+  const dy = Math.abs(a.y - b.y);
+  return dx === 0 || dy === 0 || dx === dy;
+}
+
+// First station strictly between a and b on a straight/diagonal path, or null
+export function stationPassedThrough(board, a, b) {
+  const dx = Math.sign(b.x - a.x);
+  const dy = Math.sign(b.y - a.y);
+  let x = a.x + dx;
+  let y = a.y + dy;
+  while (x !== b.x || y !== b.y) {
+    const st = board.stationAt.get(`${x},${y}`);
+    if (st) return st;
+    x += dx;
+    y += dy;
+  }
+  return null;
+}
+
+// Segment intersection (allow shared endpoints, but detect others)
+export function segmentsIntersect(a1, a2, b1, b2) {
+  const cross = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const onSeg = (p, q, r) =>
+    Math.min(p.x, r.x) <= q.x &&
+    q.x <= Math.max(p.x, r.x) &&
+    Math.min(p.y, r.y) <= q.y &&
+    q.y <= Math.max(p.y, r.y);
+
+  const d1 = cross(a1, a2, b1);
+  const d2 = cross(a1, a2, b2);
+  const d3 = cross(b1, b2, a1);
+  const d4 = cross(b1, b2, a2);
+
+  if (
+    ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))
+  ) {
+    return true;
+  }
+
+  if (d1 === 0 && onSeg(a1, b1, a2)) return true;
+  if (d2 === 0 && onSeg(a1, b2, a2)) return true;
+  if (d3 === 0 && onSeg(b1, a1, b2)) return true;
+  if (d4 === 0 && onSeg(b1, a2, b2)) return true;
+
+  return false;
+}
+
+/**
+ * Number of times the straight section a-b crosses the river polyline.
+ * Each river edge is half-open (its end vertex belongs to the next edge), so a
+ * section through a bend is counted once; a section running along the water
+ * does not count as a crossing.
+ */
+export function countRiverCrossings(river, a, b) {
+  let count = 0;
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  for (let i = 0; i < river.length - 1; i++) {
+    const [px, py] = river[i];
+    const [qx, qy] = river[i + 1];
+    const sx = qx - px;
+    const sy = qy - py;
+    const denom = rx * sy - ry * sx;
+    if (denom === 0) continue; // parallel or collinear
+
+    const t = ((px - a.x) * sy - (py - a.y) * sx) / denom; // along a-b
+    const u = ((px - a.x) * ry - (py - a.y) * rx) / denom; // along river edge
+    const isLastEdge = i === river.length - 2;
+    if (t < 0 || t > 1 || u < 0) continue;
+    if (isLastEdge ? u > 1 : u >= 1) continue;
+    count++;
+  }
+  return count;
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+   4) SEEDED RANDOMNESS & DECK
+──────────────────────────────────────────────────────────────────────────── */
+// Seeded randomness: every shuffle goes through random(state), so a seed fixes
+// the line order and each round's deck. The generator state lives in the game
+// state (rngState) and is saved with it.
+export function hashSeed(seed) {
+  // FNV-1a, 32-bit
+  let h = 2166136261;
+  for (const ch of seed) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+export function seedState(state, seed) {
+  state.seed = seed || Math.random().toString(36).slice(2, 8);
+  state.rngState = hashSeed(state.seed);
+}
+
+// mulberry32 -> float in [0, 1)
+export function random(state) {
+  state.rngState = (state.rngState + 0x6D2B79F5) >>> 0;
+  let t = state.rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export function shuffle(state, arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = (random(state) * (i + 1)) | 0;
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Unshuffled deck (A/B/C/D/Joker × center/side) of a rule variant; the relay deals it too
+export function deckCards({ symbolCopies, jokers }) {
+  const deck = [];
+  for (const ptype of ["center","side"]) {
+    for (const sym of ["A","B","C","D"]) {
+      for (let i = 0; i < symbolCopies; i++) deck.push({ ptype, sym });
+    }
+    for (let i = 0; i < jokers; i++) deck.push({ ptype, sym: "Joker" });
+  }
+  return deck;
+}
+
+export function buildDeck(state) {
+  return shuffle(state, deckCards(state.rules || RULE_PRESETS.standard));
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+   5) GAME STATE & ROUNDS
+──────────────────────────────────────────────────────────────────────────── */
+export function newGameState({ rules = null, pencilMode = false } = {}) {
+  return {
+    order: [],        // line ids in play order
+    roundIndex: 0,    // index within order
+    deck: [],         // cards { ptype, sym }
+    drawsThisRound: 0,
+    centerCount: 0,
+    sideCount: 0,
+    currentCard: null, // { ptype, sym } | null
+    buildUsedForThisCard: false, // one build per card
+    roundComplete: false,        // becomes true when round-ending conditions are met
+    heldCard: null,              // face-up switch card dealt each round; not counted while held
+    switchUsedThisRound: false,  // the held card can be swapped in once per round
+    pencilMode,                  // "pencil abilities" game mode
+    pencilUsed: new Set(),       // abilities already spent by the current line
+    seed: "",                    // same seed -> same line order and decks
+    rngState: 0,                 // mulberry32 state derived from the seed
+    objectives: [],              // public objective ids drawn for this game
+    rules: normalizeRules(rules),
+  };
+}
+
+export function currentLine(game) {
+  return game.board.lines.find(l => l.id === game.state.order[game.state.roundIndex]);
+}
+
+export function newLineState(board, lineId) {
+  const startId = board.lines.find(l => l.id === lineId).start;
+  return {
+    segments: [],
+    endpoints: new Set(),
+    visited: new Set([startId]),
+    doubled: new Set(), // stations counted twice (pencil "duplicate")
+  };
+}
+
+export function ensureLineState(game, lineId) {
+  if (!game.lineStates.has(lineId)) game.lineStates.set(lineId, newLineState(game.board, lineId));
+  return game.lineStates.get(lineId);
+}
+
+/**
+ * Seed the game, order the lines (unless an order is given, e.g. by an online
+ * room), deal the first round and draw the public objectives.
+ */
+export function startGame(game, { seed = "", order = null } = {}) {
+  const { state, board } = game;
+  seedState(state, seed);
+  state.order = order ? [...order] : shuffle(state, board.lines.map(l => l.id));
+  state.roundIndex = 0;
+  startRound(game);
+  state.objectives = drawObjectives(game);
+}
+
+// Fresh deck, counters and held card for the round at state.roundIndex
+export function startRound(game) {
+  const { state } = game;
+  state.deck = buildDeck(state);
+  state.drawsThisRound = 0;
+  state.centerCount = 0;
+  state.sideCount = 0;
+  state.currentCard = null;
+  state.buildUsedForThisCard = false;
+  state.roundComplete = false;
+  state.switchUsedThisRound = false;
+  state.pencilUsed = new Set(); // each line gets a fresh set of abilities
+  state.heldCard = state.deck.pop();
+}
+
+// Center/side counters only include cards that are (or were) in play this round
+export function countPlatformType(state, card, delta) {
+  if (card.ptype === "center") {
+    state.centerCount += delta;
+  } else if (card.ptype === "side") {
+    state.sideCount += delta;
+  }
+}
+
+// The round has run out of cards: roundDraws reached, or the Nth card of a type
+export function isRoundOver(state) {
+  const { typeLimit, roundDraws } = state.rules || RULE_PRESETS.standard;
+  return state.centerCount >= typeLimit || state.sideCount >= typeLimit || state.drawsThisRound >= roundDraws;
+}
+
+/**
+ * Put a card in play (from the deck or dealt by an online room). A card that
+ * was not built with is simply replaced: that is a skip.
+ */
+export function revealCard(game, card) {
+  const { state } = game;
+  state.currentCard = card;
+  state.drawsThisRound++;
+  state.buildUsedForThisCard = false;
+  countPlatformType(state, card, +1);
+  state.roundComplete = isRoundOver(state);
+}
+
+// Draw the next card; null once the round is complete
+export function drawCard(game) {
+  const { state } = game;
+  if (state.roundComplete || isGameOver(game)) return null;
+  if (state.deck.length === 0) state.deck = buildDeck(state);
+  const card = state.deck.pop();
+  revealCard(game, card);
+  return card;
+}
+
+/**
+ * Switch card: once per round, exchange the revealed card with the held card.
+ * The swap replaces the same draw, so drawsThisRound is unchanged, but the
+ * center/side counters follow the card that is now in play; this can close a
+ * round (Nth card of a type swapped in) or reopen it (swapped out).
+ * Returns false when the switch is not allowed.
+ */
+export function switchCard(game) {
+  const { state } = game;
+  if (!state.currentCard || !state.heldCard) return false;
+  if (state.buildUsedForThisCard || state.switchUsedThisRound) return false;
+
+  const revealed = state.currentCard;
+  countPlatformType(state, revealed, -1);
+  countPlatformType(state, state.heldCard, +1);
+  state.currentCard = state.heldCard;
+  state.heldCard = revealed;
+  state.switchUsedThisRound = true;
+  state.roundComplete = isRoundOver(state);
+  return true;
+}
+
+// Score the line of the current round into roundResults
+export function scoreRound(game) {
+  const lineId = game.state.order[game.state.roundIndex];
+  const result = { lineId, ...scoreLine(game, ensureLineState(game, lineId)) };
+  game.roundResults.push(result);
+  return result;
+}
+
+// Move on to the next line; false when that was the last round
+export function advanceRound(game) {
+  game.state.roundIndex++;
+  if (isGameOver(game)) return false;
+  startRound(game);
+  return true;
+}
+
+export function isGameOver(game) {
+  return game.state.roundIndex >= game.state.order.length;
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+   6) VALIDATION & BUILDING
+──────────────────────────────────────────────────────────────────────────── */
+// The map's transfer station, unless the rule variant turns the exception off
+export function transferStation(game) {
+  return game.state.rules?.transfer === false ? null : game.board.transferStation;
+}
+
+// Station symbol vs the card in play
+export function stationMatchesCard(game, target) {
+  const card = game.state.currentCard;
+  if (!card) return false;
+  // The transfer station (Deák tér) acts as joker target for any card symbol
+  if (target.id === transferStation(game)) return true;
+  if (card.sym === "Joker" || target.type === "?") return true;
+  return target.type === card.sym;
+}
+
+/**
+ * Station ownership: each station can belong to only one line,
+ * except the transfer station and the current line's start station.
+ * `ability` is a pencil ability that relaxes its own rule
+ * (branch: origin, through: pass-through, wild: card symbol).
+ *
+ * Returns null when the section is legal, otherwise the first broken rule:
+ * { code, message, station?, segment? } where station is the offending
+ * station id and segment the offending { a, b, lineId } section.
+ */
+export function connectionProblem(game, fromId, toId, ability = null) {
+  const { state, board, lineStates, stationOwner } = game;
+  const lineId = state.order[state.roundIndex];
+  const LS = ensureLineState(game, lineId);
+  const line = currentLine(game);
+
+  const A = board.stationById.get(fromId);
+  const B = board.stationById.get(toId);
+  if (!A || !B || fromId === toId) {
+    return { code: "same", message: "Pick a different target station" };
+  }
+
+  const startId = line.start;
+  const isTransferAllowed = (id) =>
+    id === transferStation(game) || id === startId;
+  for (const id of [fromId, toId]) {
+    const owner = stationOwner.get(id);
+    if (owner !== undefined && owner !== lineId && !isTransferAllowed(id)) {
+      return { code: "owned", message: `Station ${id} is owned by ${lineName(board, owner)}`, station: id };
+    }
+  }
+
+  // Geometry: must be straight or 45°
+  if (!isStraightOrDiag(A, B)) {
+    return { code: "angle", message: "Sections must be straight or 45° diagonal", station: toId };
+  }
+
+  // Origin: first segment from start, later from endpoints
+  const isFirst = LS.segments.length === 0;
+  if (isFirst) {
+    if (fromId !== startId) {
+      return { code: "origin", message: `${line.name} must start at station ${startId}`, station: startId };
+    }
+  } else if (ability === "branch") {
+    if (!LS.visited.has(fromId)) {
+      return { code: "origin", message: `Station ${fromId} is not on ${line.name}`, station: fromId };
+    }
+  } else if (!LS.endpoints.has(fromId)) {
+    return { code: "origin", message: `Station ${fromId} is not an end of ${line.name}`, station: fromId };
+  }
+
+  // Target must match card
+  if (ability !== "wild" && !stationMatchesCard(game, B)) {
+    const card = state.currentCard;
+    return {
+      code: "symbol",
+      message: card
+        ? `Station ${toId} is ${B.type}, the card is ${card.sym === "Joker" ? "★" : card.sym}`
+        : "Draw a card first",
+      station: toId,
+    };
+  }
+
+  // No pass-through stations
+  const passed = ability !== "through" && stationPassedThrough(board, A, B);
+  if (passed) {
+    return { code: "through", message: `Passes through station ${passed.id}`, station: passed.id };
+  }
+
+  // No duplicate segments anywhere (any line, either direction)
+  for (const [otherId, OLS] of lineStates) {
+    for (const s of OLS.segments) {
+      if (
+        (s.a === fromId && s.b === toId) ||
+        (s.a === toId && s.b === fromId)
+      ) {
+        return {
+          code: "duplicate",
+          message: `${lineName(board, otherId)} already runs between ${s.a} and ${s.b}`,
+          segment: { a: s.a, b: s.b, lineId: otherId },
+        };
+      }
+    }
+  }
+
+  // No crossings unless sharing an endpoint
+  const a1 = { x: A.x, y: A.y };
+  const a2 = { x: B.x, y: B.y };
+  for (const [otherId, OLS] of lineStates) {
+    for (const s of OLS.segments) {
+      const C = board.stationById.get(s.a);
+      const D = board.stationById.get(s.b);
+      const b1 = { x: C.x, y: C.y };
+      const b2 = { x: D.x, y: D.y };
+      if (!segmentsIntersect(a1, a2, b1, b2)) continue;
+      const sharesEndpoint =
+        fromId === s.a ||
+        fromId === s.b ||
+        toId === s.a ||
+        toId === s.b;
+      if (!sharesEndpoint) {
+        return {
+          code: "crossing",
+          message: `Crosses ${lineName(board, otherId)} between ${s.a} and ${s.b}`,
+          segment: { a: s.a, b: s.b, lineId: otherId },
+        };
+      }
+    }
+  }
+
+  // No loops: cannot go to station already visited by this line
+  if (LS.visited.has(toId)) {
+    return { code: "loop", message: `${line.name} already visits station ${toId}`, station: toId };
+  }
+
+  return null;
+}
+
+/**
+ * Legal sections for the revealed card: Map originId -> [targetId, ...],
+ * holding only origins with at least one target. Empty once the card is used.
+ */
+export function legalMoves(game, ability = null) {
+  const { state, board } = game;
+  const moves = new Map();
+  const line = currentLine(game);
+  if (!line || !state.currentCard || state.buildUsedForThisCard) return moves;
+
+  const LS = ensureLineState(game, line.id);
+  const origins = LS.segments.length === 0
+    ? [line.start]
+    : [...(ability === "branch" ? LS.visited : LS.endpoints)];
+  for (const fromId of origins) {
+    const targets = board.stations.map(st => st.id)
+      .filter(toId => connectionProblem(game, fromId, toId, ability) === null);
+    if (targets.length) moves.set(fromId, targets);
+  }
+  return moves;
+}
+
+/**
+ * The board mutation of a build: segments, endpoints, visited stations and
+ * ownership of the current line. No validation and no card bookkeeping (the
+ * bot uses it to try sections and rolls them back).
+ */
+export function applySection(game, fromId, toId, usedAbility = null) {
+  const { state, stationOwner } = game;
+  const lineId = state.order[state.roundIndex];
+  const LS = ensureLineState(game, lineId);
+  LS.segments.push({ a: fromId, b: toId });
+  if (usedAbility === "duplicate") LS.doubled.add(toId);
+
+  // Toggle endpoints (a branch leaves its mid-line origin as a non-endpoint)
+  const toggle = (set, v) => (set.has(v) ? set.delete(v) : set.add(v));
+  if (usedAbility !== "branch" || LS.endpoints.has(fromId)) toggle(LS.endpoints, fromId);
+  toggle(LS.endpoints, toId);
+
+  // Track visited
+  LS.visited.add(fromId);
+  LS.visited.add(toId);
+
+  // Assign station ownership. Start station always becomes owned by the current line.
+  const startId = currentLine(game).start;
+  const transferId = transferStation(game);
+  if (fromId !== transferId) {
+    if (fromId === startId || !stationOwner.has(fromId)) {
+      stationOwner.set(fromId, lineId);
+    }
+  }
+  if (toId !== transferId) {
+    if (toId === startId || !stationOwner.has(toId)) {
+      stationOwner.set(toId, lineId);
+    }
+  }
+}
+
+/**
+ * Build a section the caller has already validated with the card in play.
+ * The pencil ability is spent only if this section needed it ("duplicate"
+ * has no rule to relax, so it always applies). Returns the ability spent.
+ */
+export function placeSection(game, fromId, toId, ability = null) {
+  const { state } = game;
+  const usedAbility =
+    ability && (ability === "duplicate" || connectionProblem(game, fromId, toId, null)) ? ability : null;
+  if (usedAbility) state.pencilUsed.add(usedAbility);
+  applySection(game, fromId, toId, usedAbility);
+  state.buildUsedForThisCard = true;
+  return usedAbility;
+}
+
+/**
+ * Validate and build a section with the card in play, optionally with a
+ * pencil ability (pencil mode only, once per line). Returns null on success,
+ * otherwise the problem in the connectionProblem() shape.
+ */
+export function build(game, fromId, toId, ability = null) {
+  const { state } = game;
+  if (isGameOver(game)) return { code: "over", message: "The game is over" };
+  if (!state.currentCard) return { code: "card", message: "Draw a card first" };
+  if (state.buildUsedForThisCard) return { code: "used", message: "This card has already been built with" };
+  if (ability && (!state.pencilMode || state.pencilUsed.has(ability))) {
+    return { code: "ability", message: `The "${ability}" ability is not available` };
+  }
+  const problem = connectionProblem(game, fromId, toId, ability);
+  if (problem) return problem;
+  placeSection(game, fromId, toId, ability);
+  return null;
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+   7) SCORING & OBJECTIVES
+──────────────────────────────────────────────────────────────────────────── */
+// district -> stations of the line in it (a pencil "duplicate" station counts twice)
+export function lineDistrictCounts(game, LS) {
+  const districtCounts = new Map();
+  for (const sid of LS.visited) {
+    const meta = getStationMeta(game.board, sid);
+    if (!meta || meta.district == null) continue;
+    const d = meta.district;
+    const weight = LS.doubled.has(sid) ? 2 : 1;
+    districtCounts.set(d, (districtCounts.get(d) || 0) + weight);
+  }
+  return districtCounts;
+}
+
+/**
+ * PK/PM/PD/FP of one line state:
+ * PK: number of districts covered
+ * PM: max stations in any district
+ * PD: Danube crossings (actual intersections of each section with the river)
+ * FP: PK * PM + PD
+ */
+export function scoreLine(game, LS) {
+  const { board } = game;
+  const districtCounts = lineDistrictCounts(game, LS);
+  const PK = districtCounts.size;
+  const PM = districtCounts.size ? Math.max(...districtCounts.values()) : 0;
+
+  let PD = 0;
+  for (const seg of LS.segments) {
+    const a = board.stationById.get(seg.a);
+    const b = board.stationById.get(seg.b);
+    if (!a || !b) continue;
+    PD += countRiverCrossings(board.river, a, b);
+  }
+
+  const FP = PK * PM + PD;
+  return { PK, PM, PD, FP };
+}
+
+// stationId -> Set<lineId> of every line that visits it
+export function stationLineSets(game) {
+  const stationLines = new Map();
+  for (const [lineId, LS] of game.lineStates) {
+    for (const sid of LS.visited) {
+      if (!stationLines.has(sid)) stationLines.set(sid, new Set());
+      stationLines.get(sid).add(lineId);
+    }
+  }
+  return stationLines;
+}
+
+/**
+ * End-of-game bonus of the whole network: PP (train stations visited) plus
+ * junctions weighted by the rules (2/5/9 by default) for stations served by
+ * 2/3/4+ lines.
+ */
+export function networkScore(game) {
+  const stationLines = stationLineSets(game);
+  const trainStations = new Set();
+  for (const sid of stationLines.keys()) {
+    const meta = getStationMeta(game.board, sid);
+    if (meta && meta.train) trainStations.add(sid);
+  }
+
+  let P2 = 0, P3 = 0, P4 = 0;
+  for (const [, lineSet] of stationLines) {
+    const count = lineSet.size;
+    if (count === 2) P2++;
+    else if (count === 3) P3++;
+    else if (count >= 4) P4++;
+  }
+
+  const PP = trainStations.size;
+  const { junction2, junction3, junction4 } = game.state.rules || RULE_PRESETS.standard;
+  return { PP, P2, P3, P4, bonus: PP + junction2 * P2 + junction3 * P3 + junction4 * P4 };
+}
+
+/* Public objectives ──────────────────────────────────────────────────────── */
+export const OBJECTIVES_PER_GAME = 2;
+export const OBJECTIVES = [
+  {
+    id: "train-stations",
+    title: "Connect all train stations",
+    points: 10,
+    available: (game) => game.board.trainStationIds.length > 0,
+    progress: (game) => {
+      const visited = new Set();
+      for (const [, LS] of game.lineStates) for (const sid of LS.visited) visited.add(sid);
+      const ids = game.board.trainStationIds;
+      return { value: ids.filter(id => visited.has(id)).length, target: ids.length };
+    },
+  },
+  {
+    id: "danube",
+    title: "Every line crosses the Danube",
+    points: 8,
+    available: (game) => game.board.river.length > 1,
+    progress: ({ board, lineStates }) => ({
+      value: board.lines.filter(line => (lineStates.get(line.id)?.segments || []).some(seg =>
+        countRiverCrossings(board.river, board.stationById.get(seg.a), board.stationById.get(seg.b)) > 0)).length,
+      target: board.lines.length,
+    }),
+  },
+  {
+    id: "districts",
+    title: "Visit every district",
+    points: 8,
+    progress: ({ board, lineStates }) => {
+      const all = new Set(board.stations.map(st => getStationMeta(board, st.id)?.district).filter(d => d != null));
+      const seen = new Set();
+      for (const [, LS] of lineStates) {
+        for (const sid of LS.visited) {
+          const d = getStationMeta(board, sid)?.district;
+          if (d != null) seen.add(d);
+        }
+      }
+      return { value: seen.size, target: all.size };
+    },
+  },
+  {
+    id: "triple-junction",
+    title: "A station served by 3 lines",
+    points: 6,
+    progress: (game) => {
+      const served = new Map();
+      for (const [, LS] of game.lineStates) {
+        for (const sid of LS.visited) served.set(sid, (served.get(sid) || 0) + 1);
+      }
+      return { value: Math.min(3, Math.max(0, ...served.values())), target: 3 };
+    },
+  },
+  {
+    id: "long-line",
+    title: "A line with 10 stations",
+    points: 6,
+    progress: (game) => ({
+      value: Math.min(10, Math.max(0, ...[...game.lineStates.values()].map(LS => LS.visited.size))),
+      target: 10,
+    }),
+  },
+  {
+    id: "transfer",
+    title: "Every line reaches the transfer station",
+    points: 8,
+    available: (game) => transferStation(game) != null,
+    progress: (game) => ({
+      value: game.board.lines.filter(line => game.lineStates.get(line.id)?.visited.has(transferStation(game))).length,
+      target: game.board.lines.length,
+    }),
+  },
+];
+
+export function drawObjectives(game) {
+  const pool = OBJECTIVES.filter(o => !o.available || o.available(game)).map(o => o.id);
+  return shuffle(game.state, pool).slice(0, OBJECTIVES_PER_GAME);
+}
+
+/**
+ * Progress of this game's objectives on the board in lineStates:
+ * { items: [{ objective, value, target, done }], points } (points of completed ones).
+ */
+export function objectiveScore(game) {
+  const items = game.state.objectives
+    .map(id => OBJECTIVES.find(o => o.id === id))
+    .filter(Boolean)
+    .map(objective => {
+      const { value, target } = objective.progress(game);
+      return { objective, value, target, done: value >= target };
+    });
+  return { items, points: items.reduce((sum, it) => sum + (it.done ? it.objective.points : 0), 0) };
+}
+
+/**
+ * What the round and the game would score if they ended now, without touching
+ * roundResults or lineStates: the current line's { PK, PM, PD, FP }, sumFP
+ * (finished rounds plus the current line), the network bonus parts and the
+ * projected final total. Null when no round is in progress.
+ */
+export function projectedScore(game) {
+  const { state, lineStates, roundResults } = game;
+  const lineId = state.order[state.roundIndex];
+  if (lineId === undefined) return null;
+  const line = scoreLine(game, lineStates.get(lineId) ?? newLineState(game.board, lineId));
+  const scored = roundResults.some(r => r.lineId === lineId);
+  const sumFP = roundResults.reduce((sum, r) => sum + r.FP, 0) + (scored ? 0 : line.FP);
+  const { PP, P2, P3, P4, bonus } = networkScore(game);
+  const objectives = objectiveScore(game).points;
+  return {
+    line, sumFP, PP, P2, P3, P4,
+    junctions: bonus - PP,
+    objectives,
+    total: sumFP + bonus + objectives,
+  };
+}
+
+/**
+ * Final tally: Sum(FP) of the finished rounds + PP + junctions + objectives.
+ */
+export function finalScore(game) {
+  const sumFP = game.roundResults.reduce((sum, r) => sum + r.FP, 0);
+  const net = networkScore(game);
+  const objectives = objectiveScore(game);
+  return {
+    rounds: [...game.roundResults],
+    sumFP,
+    ...net,
+    objectives: objectives.points,
+    objectiveItems: objectives.items,
+    total: sumFP + net.bonus + objectives.points,
+  };
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+   8) HEADLESS GAMES
+──────────────────────────────────────────────────────────────────────────── */
+/**
+ * Create and start a game without any UI.
+ *
+ *   config:   { seed?, order?, rules?, pencilMode?, grid?, river?, transferStation? }
+ *             (grid, river and transferStation as in a map pack; river may be
+ *             the pack's { points } object or the bare polyline)
+ *   stations: stations.json array; lines: lines.json array
+ *
+ * Returns the game context plus methods:
+ *   draw()                   reveal the next card (null when the round is complete)
+ *   build(from, to, ability) null, or the reason the section is refused
+ *   switchCard()             swap in the held card (false if not allowed)
+ *   legalMoves(ability)      Map originId -> [targetId, ...] for the card in play
+ *   endRound()               score the line and deal the next one; the round result
+ *   score()                  final tally (see finalScore), valid at any time
+ *   isRoundComplete() / isOver()
+ */
+export function createGame(config = {}, stations, lines) {
+  const board = createBoard({
+    stations,
+    lines,
+    grid: config.grid,
+    river: Array.isArray(config.river) ? config.river : config.river?.points,
+    transferStation: config.transferStation,
+  });
+  const game = {
+    board,
+    state: newGameState({ rules: config.rules, pencilMode: !!config.pencilMode }),
+    lineStates: new Map(),
+    stationOwner: new Map(),
+    roundResults: [],
+  };
+  startGame(game, { seed: config.seed, order: config.order });
+
+  return Object.assign(game, {
+    draw: () => drawCard(game),
+    build: (fromId, toId, ability = null) => build(game, fromId, toId, ability),
+    switchCard: () => switchCard(game),
+    legalMoves: (ability = null) => legalMoves(game, ability),
+    endRound() {
+      if (isGameOver(game)) return null;
+      const result = scoreRound(game);
+      advanceRound(game);
+      return result;
+    },
+    score: () => finalScore(game),
+    currentLine: () => currentLine(game),
+    isRoundComplete: () => game.state.roundComplete,
+    isOver: () => isGameOver(game),
+  });
+}
@@ -3,26 +3,51 @@
    Sections:
    0) Constants & DOM references
    1) Small utilities (modal, sizing, colors)
-   2) Data loading & station indexing
+   2) Data loading (map packs) & station indexing
    3) Geometry helpers
    4) Rendering (grid, river, stations, segments)
-   5) Game config & state (lines, timer, deck, scoring)
+   5) Game config & state (timer, deck, scoring)
    6) Per-line build state
    7) Card + UI helpers
    8) Validation & mutations (canConnect/addSegment)
    9) Screen flow (start, round, finish)
-  10) Event wiring
+  10) Game record & replay
+  11) Computer player
+  12) Hot-seat multiplayer
+  13) Online rooms
+  14) Board editor
+  15) Event wiring
 ============================================================================ */
 
+// The rules themselves (validation, rounds, scoring) live in the DOM-free
+// engine; this script keeps the page's game in `core` and drives it from the UI.
+import * as engine from "./engine.js";
+import { RULE_PRESETS, normalizeRules, rulesKey, parseRulesKey } from "./engine.js";
+
 
 /* ────────────────────────────────────────────────────────────────────────────
    0) CONSTANTS & DOM REFERENCES
 ──────────────────────────────────────────────────────────────────────────── */
-const GRID_SIZE = 10;
-const BOARD_PAD = 12; // must match CSS .board padding
-
-// Transfer exception: Deák tér
-const STATION_TRANSFER_EXCEPTION = 30;
+const DEFAULT_GRID_SIZE = 10;
+const BOARD_PAD = 12;  // must match CSS .board padding
+const SVG_CELL  = 100; // SVG user units per grid cell (viewBox is sized per map)
+const BOARD_ZOOM_MAX   = 4;    // pinch / Ctrl+wheel zoom limit (1 = the whole board)
+const RIVER_CANVAS_MAX = 2048; // river canvas pixels per side, however far zoomed in
+
+// Map packs
+const MAP_INDEX_URL  = "maps/index.json";
+const DEFAULT_MAP_ID = "budapest";
+const MAP_KEY        = "budapest_metro_map"; // last picked map (localStorage)
+
+const STATION_SYMBOLS = ["A", "B", "C", "D", "?"];
+
+// Pencil abilities: one-shot powers each line gets in the "pencil" game mode
+const PENCIL_ABILITIES = [
+  { id: "branch",    label: "Branch",       hint: "Start a section from any station of this line, not only an end" },
+  { id: "through",   label: "Pass through", hint: "The section may pass over other stations" },
+  { id: "duplicate", label: "Duplicate",    hint: "The target station counts twice in this line's district score" },
+  { id: "wild",      label: "Ignore card",  hint: "The target station may have any symbol" },
+];
 
 // Screens
 const menu      = document.querySelector("#menu");
@@ -33,31 +58,137 @@ const hudPlayer = document.querySelector("#hud-player");
 const hudTime   = document.querySelector("#hud-time");
 const hudLine   = document.querySelector("#hud-line");
 const hudRounds = document.querySelector("#hud-rounds");
+const hudSeed   = document.querySelector("#hud-seed");
+const hudRules  = document.querySelector("#hud-rules");
+const hudCountdown = document.querySelector("#hud-countdown");
 
 // Score HUD
 const hudRoundScore = document.querySelector("#hud-round-score");
 const hudTotalScore = document.querySelector("#hud-total-score");
 const hudPP         = document.querySelector("#hud-pp");
 const trainSlider   = document.querySelector("#train-slider");
+const TRAIN_SLIDER_MAX = Number(trainSlider?.max) || 5; // length of the PP track in the markup
 
 const hudResultsRow   = document.querySelector("#hud-results");
 const resultSummary   = document.querySelector("#result-summary");
 const resultExplanation   = document.querySelector("#result-explanation");
 const resultRounds    = document.querySelector("#result-rounds");
 const resultJunctions = document.querySelector("#result-junctions");
+const resultOpponent  = document.querySelector("#result-opponent");
+const resultPlayers   = document.querySelector("#result-players");
+const resultObjectives = document.querySelector("#result-objectives");
 
 // Controls & card
 const cardEl      = document.querySelector("#card");
 const btnDraw     = document.querySelector("#btn-draw");
 const btnSkip     = document.querySelector("#btn-skip");
 const btnEnd      = document.querySelector("#btn-end");
+const btnSwitch   = document.querySelector("#btn-switch");
+const btnUndo     = document.querySelector("#btn-undo");
+const btnRedo     = document.querySelector("#btn-redo");
 const btnMainMenu = document.querySelector("#btn-main-menu");
+const heldCardEl  = document.querySelector("#held-card");
+const btnBotTurn  = document.querySelector("#btn-bot-turn");
+const btnBotGame  = document.querySelector("#btn-bot-game");
+const btnNextPlayer = document.querySelector("#btn-next-player");
+const btnOnlineDone = document.querySelector("#btn-online-done");
+const hudPlayers    = document.querySelector("#hud-players");
+const hudObjectives = document.querySelector("#hud-objectives");
+const hudProjection = document.querySelector("#hud-projection");
+const projLine      = document.querySelector("#proj-line");
+const projTotal     = document.querySelector("#proj-total");
+
+// Computer opponent (HUD row)
+const hudOpponent   = document.querySelector("#hud-opponent");
+const opponentBoard = document.querySelector("#opponent-board");
+const opponentName  = document.querySelector("#opponent-name");
+const opponentScore = document.querySelector("#opponent-score");
+
+// Pencil abilities (HUD row, only in the "pencil" game mode)
+const hudPencil       = document.querySelector("#hud-pencil");
+const hudNoMove       = document.querySelector("#hud-no-move");
+const hudReject       = document.querySelector("#hud-reject");
+const pencilButtons   = document.querySelector("#pencil-abilities");
+
+// Screen-reader announcements (polite live region)
+const liveRegion = document.querySelector("#live-region");
 
 // Board
+const boardViewport = document.querySelector("#board-viewport");
+const btnFitBoard   = document.querySelector("#btn-fit-board");
 const grid  = document.querySelector("#grid");
 const svg   = document.querySelector("#svg");
 const river = document.querySelector("#river");
 
+// Scoring overlay
+const overlaySvg         = document.querySelector("#overlay");
+const btnOverlay         = document.querySelector("#btn-overlay");
+const overlayLegend      = document.querySelector("#overlay-legend");
+const overlayLegendText  = document.querySelector("#overlay-legend-text");
+const overlayLineSelect  = document.querySelector("#overlay-line");
+
+// Map picker, game mode, saved game & data report
+const btnContinue     = document.querySelector("#btn-continue");
+const btnDaily        = document.querySelector("#btn-daily");
+const seedInput       = document.querySelector("#seed-input");
+const mapSelect       = document.querySelector("#map-select");
+const modeSelect      = document.querySelector("#mode-select");
+const undoToggle      = document.querySelector("#allow-undo");
+const cardTimerSelect = document.querySelector("#card-timer");
+const opponentSelect  = document.querySelector("#opponent-select");
+const botLevelSelect  = document.querySelector("#bot-level");
+const rulesPreset     = document.querySelector("#rules-preset");
+const rulesSummary    = document.querySelector("#rules-summary");
+const ruleInputs      = document.querySelectorAll("[data-rule]");
+const btnStart        = document.querySelector("#btn-start");
+const dataReport      = document.querySelector("#data-report");
+const dataReportTitle = document.querySelector("#data-report-title");
+const dataReportList  = document.querySelector("#data-report-list");
+
+// Board editor
+const editorScreen      = document.querySelector("#editor");
+const btnEditor         = document.querySelector("#btn-editor");
+const editorBoard       = document.querySelector("#editor-board");
+const editorGrid        = document.querySelector("#editor-grid");
+const editorRiver       = document.querySelector("#editor-river");
+const editorForm        = document.querySelector("#editor-station-form");
+const editorStationId   = document.querySelector("#editor-station-id");
+const editorStartSelect = document.querySelector("#editor-start-select");
+const editorSides       = document.querySelector("#editor-sides");
+const editorLinesList   = document.querySelector("#editor-lines");
+const editorMapName     = document.querySelector("#editor-map-name");
+const editorName        = document.querySelector("#editor-name");
+const editorCols        = document.querySelector("#editor-cols");
+const editorRows        = document.querySelector("#editor-rows");
+const editorStatus      = document.querySelector("#editor-status");
+const editorImportFile  = document.querySelector("#editor-import-file");
+
+// Game record & replay
+const gameControls      = document.querySelector("#game-controls");
+const replayControls    = document.querySelector("#replay-controls");
+const replayStepLabel   = document.querySelector("#replay-step");
+const btnReplayPrev     = document.querySelector("#replay-prev");
+const btnReplayPlay     = document.querySelector("#replay-play");
+const btnReplayNext     = document.querySelector("#replay-next");
+const btnReplayExit     = document.querySelector("#replay-exit");
+const replayModal       = document.querySelector("#replay-modal");
+const replayInput       = document.querySelector("#replay-input");
+const replayError       = document.querySelector("#replay-error");
+const replayFile        = document.querySelector("#replay-file");
+const btnRecordCopy     = document.querySelector("#btn-record-copy");
+const btnRecordDownload = document.querySelector("#btn-record-download");
+
+// Online rooms
+const onlineModal      = document.querySelector("#online-modal");
+const onlineServer     = document.querySelector("#online-server");
+const onlineCode       = document.querySelector("#online-code");
+const onlineStatus     = document.querySelector("#online-status");
+const onlineLobby      = document.querySelector("#online-lobby");
+const onlineRoomCode   = document.querySelector("#online-room-code");
+const onlineRoomRules  = document.querySelector("#online-room-rules");
+const onlinePlayerList = document.querySelector("#online-players");
+const btnOnlineStart   = document.querySelector("#online-start");
+
 // Rules modal
 const rulesModal    = document.querySelector("#rules-modal");
 const btnRules      = document.querySelector("#btn-rules");
@@ -67,32 +198,82 @@ const btnRulesClose = document.querySelector("#rules-close");
 /* ────────────────────────────────────────────────────────────────────────────
    1) SMALL UTILITIES (MODAL, SIZING, COLORS)
 ──────────────────────────────────────────────────────────────────────────── */
-function openRules() {
-  rulesModal.classList.add("show");
-  rulesModal.setAttribute("aria-hidden", "false");
+function openModal(modal) {
+  modal.classList.add("show");
+  modal.setAttribute("aria-hidden", "false");
   document.body.dataset.prevOverflow = document.body.style.overflow || "";
   document.body.style.overflow = "hidden";
 }
-function closeRules() {
-  rulesModal.classList.remove("show");
-  rulesModal.setAttribute("aria-hidden", "true");
+function closeModal(modal) {
+  modal.classList.remove("show");
+  modal.setAttribute("aria-hidden", "true");
   document.body.style.overflow = document.body.dataset.prevOverflow || "";
   delete document.body.dataset.prevOverflow;
 }
+function openRules() {
+  openModal(rulesModal);
+}
+function closeRules() {
+  closeModal(rulesModal);
+}
+
+// Save a file through a temporary link; the URL is revoked once the download has started
+function downloadBlob(blob, filename) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// A card as read out, e.g. "B (side)" or "Joker (center)"
+function cardName(card) {
+  return `${card.sym} (${card.ptype})`;
+}
+
+let pendingAnnouncements = [];
+
+/**
+ * Read a message out through the live region. Messages of one action (a build
+ * that also ends the round, ...) are read together; replays stay silent.
+ */
+function announce(text) {
+  if (!liveRegion || replay.active) return;
+  if (!pendingAnnouncements.length) {
+    liveRegion.textContent = "";
+    setTimeout(() => {
+      liveRegion.textContent = pendingAnnouncements.join(". ");
+      pendingAnnouncements = [];
+    }, 50);
+  }
+  pendingAnnouncements.push(text);
+}
 
-// Grid coordinate (0..GRID_SIZE-1) -> pixel center within .board
+// Grid coordinate (0..cols-1 / 0..rows-1) -> pixel center within .board.
+// Uses the layout size: the zoom transform scales the board with its stations.
 function posToPx(x, y) {
+  const board = document.querySelector(".board");
+  const cellW = (board.offsetWidth  - BOARD_PAD * 2) / gridDims.cols;
+  const cellH = (board.offsetHeight - BOARD_PAD * 2) / gridDims.rows;
+  return [BOARD_PAD + (x + 0.5) * cellW, BOARD_PAD + (y + 0.5) * cellH];
+}
+
+// Pointer position (client pixels) -> fractional grid coordinate, the inverse of posToPx()
+function pxToGrid(clientX, clientY) {
   const board = document.querySelector(".board");
   const rect = board.getBoundingClientRect();
-  const cell = (rect.width - BOARD_PAD * 2) / GRID_SIZE;
-  return [BOARD_PAD + (x + 0.5) * cell, BOARD_PAD + (y + 0.5) * cell];
+  const zoom = rect.width / board.offsetWidth || 1;
+  const cellW = (board.offsetWidth  - BOARD_PAD * 2) / gridDims.cols;
+  const cellH = (board.offsetHeight - BOARD_PAD * 2) / gridDims.rows;
+  return [
+    ((clientX - rect.left) / zoom - BOARD_PAD) / cellW - 0.5,
+    ((clientY - rect.top) / zoom - BOARD_PAD) / cellH - 0.5,
+  ];
 }
 
-// Grid -> SVG (0..1000) centered per cell
+// Grid -> SVG (SVG_CELL units per cell) centered per cell
 function toSvgPoint(st) {
-  const step = 1000 / GRID_SIZE;
-  const pad  = step / 2;
-  return [st.x * step + pad, st.y * step + pad];
+  return [(st.x + 0.5) * SVG_CELL, (st.y + 0.5) * SVG_CELL];
 }
 
 // Hex color -> rgba string with alpha
@@ -113,154 +294,325 @@ function hexToRgba(hex, alpha) {
 let lastStations      = [];           // from stations.json (position + type)
 let stationById       = new Map();    // id -> basic station (id,x,y,type)
 let stationAt         = new Map();    // "x,y" -> station
-let stationMetaById   = new Map();    // id -> full metadata (district, side, train)
-const TRAIN_STATION_IDS = [];         // ids of stations that are train stations
 
 /**
- * Build station lookups based on lastStations.
+ * Get full metadata for a station id.
  */
-function rebuildStationIndex() {
-  stationById = new Map(lastStations.map(s => [s.id, s]));
-  stationAt   = new Map(lastStations.map(s => [`${s.x},${s.y}`, s]));
+function getStationMeta(id) {
+  return engine.getStationMeta(core.board, id);
+}
+
+// Current map pack: lines, board size, river and the transfer station all come
+// from maps/<id>.json, so boards for other cities need no engine changes.
+const LINES           = [];   // { id, name, color, start }
+const gridDims        = { cols: DEFAULT_GRID_SIZE, rows: DEFAULT_GRID_SIZE };
+let riverPath         = [];   // river polyline [[x, y], ...] in grid coordinates (drawn + scored)
+let transferStationId = null; // station shared by every line (Budapest: Deák tér)
+let mapIndex          = [];   // maps/index.json -> [{ id, name, url }] (+ { pack } for edited boards)
+let currentMapId      = null;
+let currentPack       = null; // last loaded pack (applied unless it failed validation)
+let dataErrors        = [];   // validation problems of the selected map
+
+async function fetchJson(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} (${url})`);
+  return res.json();
 }
 
 /**
- * Get full metadata for a station id.
+ * Fetch a map pack and normalize it.
+ * `stations` and `lines` may be inline arrays or paths relative to the pack file.
  */
-function getStationMeta(id) {
-  const meta = stationMetaById.get(id);
-  if (meta) return meta;
-  const basic = stationById.get(id);
-  if (!basic) return null;
-  return { ...basic, train: false, side: null, district: null };
+async function loadMapPack(url) {
+  const packUrl = new URL(url, location.href);
+  const pack = await fetchJson(packUrl);
+  const part = (v) => (typeof v === "string" ? fetchJson(new URL(v, packUrl)) : v);
+  const [stations, lines] = await Promise.all([part(pack.stations), part(pack.lines)]);
+
+  return {
+    id: pack.id,
+    name: pack.name || pack.id,
+    grid: {
+      cols: pack.grid?.cols ?? DEFAULT_GRID_SIZE,
+      rows: pack.grid?.rows ?? DEFAULT_GRID_SIZE,
+    },
+    river: Array.isArray(pack.river?.points) ? pack.river.points : [],
+    transferStation: pack.transferStation ?? null,
+    stations,
+    lines,
+  };
 }
 
-// Load stations.json once
-(async function initData() {
-  try {
-    const res = await fetch("stations.json", { cache: "no-store" });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const full = await res.json();
-
-    // basic geometry list
-    lastStations = full.map(s => ({
-      id: s.id,
-      x: s.x,
-      y: s.y,
-      type: s.type
-    }));
-    stationMetaById = new Map(full.map(s => [s.id, s]));
-    rebuildStationIndex();
-
-    TRAIN_STATION_IDS.length = 0;
-    for (const s of full) {
-      if (s.train) TRAIN_STATION_IDS.push(s.id);
+/**
+ * Replace stations, lines, grid and river with the contents of a loaded pack.
+ */
+function applyMapPack(pack) {
+  core.board = engine.createBoard(pack);
+  fitBoard();
+
+  // the renderers read the board through these
+  lastStations = core.board.stations;
+  stationById = core.board.stationById;
+  stationAt = core.board.stationAt;
+  LINES.length = 0;
+  LINES.push(...core.board.lines);
+
+  gridDims.cols = pack.grid.cols;
+  gridDims.rows = pack.grid.rows;
+  riverPath = pack.river;
+  transferStationId = pack.transferStation;
+  currentPack = pack;
+
+  buildGrid();
+  renderRiver();
+}
+
+/**
+ * Schema and consistency checks for a normalized map pack.
+ * Returns a list of human-readable problems (empty when the pack is playable).
+ */
+function validateMapPack(pack) {
+  const errors = [];
+  const { cols, rows } = pack.grid;
+  const gridOk = Number.isInteger(cols) && Number.isInteger(rows) && cols >= 2 && rows >= 2;
+  if (!gridOk) errors.push(`Grid size must be whole numbers of at least 2 (got ${cols}×${rows}).`);
+
+  if (!Array.isArray(pack.stations) || pack.stations.length === 0) {
+    errors.push("The map has no stations list.");
+    return errors;
+  }
+  if (!Array.isArray(pack.lines) || pack.lines.length === 0) {
+    errors.push("The map has no lines list.");
+    return errors;
+  }
+
+  // Stations
+  const ids = new Set();
+  const cells = new Map(); // "x,y" -> id
+  for (const s of pack.stations) {
+    const label = `Station #${s.id}`;
+    if (!Number.isInteger(s.id)) {
+      errors.push(`Station at (${s.x}, ${s.y}) has no valid id.`);
+    } else if (ids.has(s.id)) {
+      errors.push(`Station id ${s.id} is used more than once.`);
+    }
+    ids.add(s.id);
+
+    if (!Number.isInteger(s.x) || !Number.isInteger(s.y)) {
+      errors.push(`${label}: position (${s.x}, ${s.y}) is not a whole grid cell.`);
+    } else {
+      if (gridOk && (s.x < 0 || s.y < 0 || s.x >= cols || s.y >= rows)) {
+        errors.push(`${label}: position (${s.x}, ${s.y}) is outside the ${cols}×${rows} grid.`);
+      }
+      const key = `${s.x},${s.y}`;
+      if (cells.has(key)) {
+        errors.push(`${label}: position (${s.x}, ${s.y}) is already used by station #${cells.get(key)}.`);
+      } else {
+        cells.set(key, s.id);
+      }
+    }
+
+    if (!STATION_SYMBOLS.includes(s.type)) {
+      errors.push(`${label}: unknown symbol "${s.type}" (expected ${STATION_SYMBOLS.join(", ")}).`);
+    }
+    if (!Number.isInteger(s.district)) {
+      errors.push(`${label}: missing district.`);
+    }
+    if (s.train !== undefined && typeof s.train !== "boolean") {
+      errors.push(`${label}: "train" must be true or false.`);
     }
-  } catch (err) {
-    console.error("Failed to load stations.json:", err);
   }
-})();
 
+  const trainCount = pack.stations.filter(s => s.train === true).length;
+  if (trainCount === 0 || trainCount > TRAIN_SLIDER_MAX) {
+    errors.push(`The map has ${trainCount} train stations; the PP slider needs between 1 and ${TRAIN_SLIDER_MAX}.`);
+  }
 
-/* ────────────────────────────────────────────────────────────────────────────
-   3) GEOMETRY HELPERS
-──────────────────────────────────────────────────────────────────────────── */
-function isStraightOrDiag(a, b) {
-  const dx = Math.abs(a.x - b.x);
-  const dy = Math.abs(a.y - b.y);
-  return dx === 0 || dy === 0 || dx === dy;
-}
+  // Lines
+  const lineIds = new Set();
+  const starts = new Map(); // stationId -> line name
+  for (const l of pack.lines) {
+    const label = `Line ${l.name || `#${l.id}`}`;
+    if (!Number.isInteger(l.id)) errors.push(`${label}: missing id.`);
+    else if (lineIds.has(l.id)) errors.push(`Line id ${l.id} is used more than once.`);
+    lineIds.add(l.id);
+
+    if (!l.name) errors.push(`Line #${l.id}: missing name.`);
+    if (!/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(l.color || "")) {
+      errors.push(`${label}: color "${l.color}" is not a hex color.`);
+    }
+    if (!ids.has(l.start)) {
+      errors.push(`${label}: start station ${l.start == null ? "is not set" : `#${l.start} does not exist`}.`);
+    } else if (starts.has(l.start)) {
+      errors.push(`${label}: start station #${l.start} is also the start of ${starts.get(l.start)}.`);
+    } else {
+      starts.set(l.start, l.name);
+    }
+  }
 
-// Disallow passing through stations strictly between A and B
-function pathPassesThroughStation(a, b) {
-  const dx = Math.sign(b.x - a.x);
-  const dy = Math.sign(b.y - a.y);
-  let x = a.x + dx;
-  let y = a.y + dy;
-  while (x !== b.x || y !== b.y) {
-    if (stationAt.get(`${x},${y}`)) return true;
-    x += dx;
-    y += dy;
+  if (pack.transferStation != null && !ids.has(pack.transferStation)) {
+    errors.push(`Transfer station #${pack.transferStation} does not exist.`);
   }
-  return false;
+
+  const riverOk = Array.isArray(pack.river) &&
+    pack.river.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite));
+  if (!riverOk) errors.push("River points must be [x, y] number pairs.");
+
+  return errors;
 }
 
-// Segment intersection (allow shared endpoints, but detect others)
-function segmentsIntersect(a1, a2, b1, b2) {
-  const cross = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
-  const onSeg = (p, q, r) =>
-    Math.min(p.x, r.x) <= q.x &&
-    q.x <= Math.max(p.x, r.x) &&
-    Math.min(p.y, r.y) <= q.y &&
-    q.y <= Math.max(p.y, r.y);
+/**
+ * Show (or clear) the map data report in the menu; Start stays disabled
+ * while there are problems or a map is still loading.
+ */
+function setDataReport(errors, title = "This map can't be played") {
+  dataErrors = errors;
+  if (btnStart) btnStart.disabled = errors.length > 0;
+  if (!dataReport) return;
+
+  dataReport.hidden = errors.length === 0;
+  dataReportTitle.textContent = title;
+  dataReportList.innerHTML = "";
+  for (const msg of errors) {
+    const li = document.createElement("li");
+    li.textContent = msg;
+    dataReportList.appendChild(li);
+  }
+}
 
-  const d1 = cross(a1, a2, b1);
-  const d2 = cross(a1, a2, b2);
-  const d3 = cross(b1, b2, a1);
-  const d4 = cross(b1, b2, a2);
+function loadMapChoice() {
+  try {
+    return localStorage.getItem(MAP_KEY) || DEFAULT_MAP_ID;
+  } catch (e) {
+    return DEFAULT_MAP_ID;
+  }
+}
 
-  if (
-    ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
-    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))
-  ) {
-    return true;
+function saveMapChoice(mapId) {
+  try {
+    localStorage.setItem(MAP_KEY, mapId);
+  } catch (e) {
+    console.warn("Failed to save map choice to localStorage", e);
   }
+}
 
-  if (d1 === 0 && onSeg(a1, b1, a2)) return true;
-  if (d2 === 0 && onSeg(a1, b2, a2)) return true;
-  if (d3 === 0 && onSeg(b1, a1, b2)) return true;
-  if (d4 === 0 && onSeg(b1, a2, b2)) return true;
+function renderMapPicker() {
+  if (!mapSelect) return;
+  mapSelect.innerHTML = "";
+  for (const m of mapIndex) {
+    const opt = document.createElement("option");
+    opt.value = m.id;
+    opt.textContent = m.name || m.id;
+    mapSelect.appendChild(opt);
+  }
+  if (currentMapId) mapSelect.value = currentMapId;
+}
 
-  return false;
+/**
+ * Load a map pack by id (falls back to the first pack in the index).
+ */
+async function initData(mapId = DEFAULT_MAP_ID) {
+  setDataReport(["Loading map…"], "Loading");
+  if (dataReport) dataReport.hidden = true;
+  try {
+    if (!mapIndex.length) {
+      mapIndex = await fetchJson(MAP_INDEX_URL);
+    }
+    const entry = mapIndex.find(m => m.id === mapId) || mapIndex[0];
+    if (!entry) throw new Error("map index is empty");
+    currentMapId = entry.id;
+
+    const pack = entry.pack || await loadMapPack(entry.url);
+    const errors = validateMapPack(pack);
+    if (errors.length) {
+      currentPack = pack; // not applied, but the editor can open it for fixing
+      setDataReport(errors);
+    } else {
+      applyMapPack(pack);
+      setDataReport([]);
+    }
+  } catch (err) {
+    console.error(`Failed to load map pack "${mapId}":`, err);
+    setDataReport([`Could not load map "${mapId}": ${err.message}`]);
+  }
+  renderMapPicker();
 }
+initData(loadMapChoice());
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+   3) GEOMETRY HELPERS
+──────────────────────────────────────────────────────────────────────────── */
+// Section geometry (straight/45° check, pass-through, crossings, river
+// crossings) is part of the rules: see engine.js.
 
 
 /* ────────────────────────────────────────────────────────────────────────────
    4) RENDERING (GRID, RIVER, STATIONS, SEGMENTS)
 ──────────────────────────────────────────────────────────────────────────── */
-// Build static grid once
-(function buildGrid() {
+/**
+ * Rebuild the background cells and size the board for the current map.
+ */
+function buildGrid() {
+  const board = document.querySelector(".board");
+  board.style.setProperty("--cols", gridDims.cols);
+  board.style.setProperty("--rows", gridDims.rows);
+  svg.setAttribute("viewBox", `0 0 ${gridDims.cols * SVG_CELL} ${gridDims.rows * SVG_CELL}`);
+  if (overlaySvg) overlaySvg.setAttribute("viewBox", svg.getAttribute("viewBox"));
+  renderOverlayLinePicker();
+
+  grid.innerHTML = "";
   const frag = document.createDocumentFragment();
-  for (let i = 0; i < GRID_SIZE * GRID_SIZE; i++) {
+  for (let i = 0; i < gridDims.cols * gridDims.rows; i++) {
     const cell = document.createElement("div");
     cell.className = "cell";
     frag.appendChild(cell);
   }
   grid.appendChild(frag);
-})();
+}
+buildGrid();
 
 /**
- * Draw the Danube river as a soft vertical zig overlay.
+ * Draw the river polyline of the current map as a soft overlay.
  */
 function renderRiver() {
   if (!river) return;
-  const dpr = Math.max(1, window.devicePixelRatio || 1);
-  const rect = river.getBoundingClientRect();
-  const w = rect.width;
-  const h = rect.height;
+  // Draw in layout pixels (the zoom transform scales the canvas with the board),
+  // at a resolution that stays sharp when zoomed in
+  const w = river.offsetWidth;
+  const h = river.offsetHeight;
 
   if (w === 0 || h === 0) return;
 
-  river.width  = Math.max(1, Math.floor(w * dpr));
-  river.height = Math.max(1, Math.floor(h * dpr));
+  const zoom = river.getBoundingClientRect().width / w || 1;
+  const scale = Math.min(Math.max(1, window.devicePixelRatio || 1) * zoom, RIVER_CANVAS_MAX / Math.max(w, h));
+  river.width  = Math.max(1, Math.floor(w * scale));
+  river.height = Math.max(1, Math.floor(h * scale));
 
   const ctx = river.getContext("2d");
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
   ctx.clearRect(0, 0, w, h);
+  if (riverPath.length < 2) return;
+
+  // grid coordinates -> canvas pixels (station centers sit at x + 0.5)
+  const cellW = w / gridDims.cols;
+  const cellH = h / gridDims.rows;
+  const toPx = ([x, y]) => [(x + 0.5) * cellW, (y + 0.5) * cellH];
 
   ctx.lineWidth = 14;
   ctx.lineCap = "round";
+  ctx.lineJoin = "round";
   ctx.strokeStyle = "rgba(116,192,252,0.45)";
 
   ctx.beginPath();
-  ctx.moveTo(w * 0.52, 0);
-  ctx.lineTo(w * 0.46, h * 0.35);
-  ctx.lineTo(w * 0.55, h);
+  ctx.moveTo(...toPx(riverPath[0]));
+  for (const p of riverPath.slice(1)) ctx.lineTo(...toPx(p));
   ctx.stroke();
 }
 renderRiver();
 
 function renderStations(stations) {
+  const hadFocus = !!document.activeElement?.closest?.(".station");
   document.querySelectorAll(".station").forEach(n => n.remove());
   const board = document.querySelector(".board");
   const line = currentLine(); // might be undefined on menu
@@ -268,19 +620,102 @@ function renderStations(stations) {
   stations.forEach(s => {
     const el = document.createElement("div");
     el.className = "station" + (s.type === "?" ? " joker" : "");
-    if (TRAIN_STATION_IDS.includes(s.id)) el.classList.add("hub");
+    if (core.board.trainStationIds.includes(s.id)) el.classList.add("hub");
     if (line && s.id === line.start) {
       el.classList.add("start");
       el.style.setProperty("--line-color", line.color);
     }
     el.dataset.id = s.id;
     el.textContent = s.type === "?" ? "?" : s.type;
+    el.setAttribute("role", "button");
+    el.tabIndex = -1;
 
     const [left, top] = posToPx(s.x, s.y);
     el.style.left = left + "px";
     el.style.top  = top  + "px";
     board.appendChild(el);
   });
+
+  const keep = stationById.has(focusedStationId) ? focusedStationId : null;
+  setFocusableStation(keep ?? line?.start ?? stations[0]?.id, hadFocus);
+  updateStationLabels();
+}
+
+/* Keyboard focus & station labels ─────────────────────────────────────────── */
+// The one station in the tab order (roving tabindex); arrow keys move it
+let focusedStationId = null;
+
+function setFocusableStation(id, focus = false) {
+  const node = document.querySelector(`.station[data-id="${id}"]`);
+  if (!node) return;
+  document.querySelectorAll('.station[tabindex="0"]').forEach(n => (n.tabIndex = -1));
+  node.tabIndex = 0;
+  focusedStationId = id;
+  if (focus) {
+    node.focus({ preventScroll: true });
+    keepStationInView(id);
+  }
+}
+
+// Key -> grid direction; Home/PageUp/End/PageDown are the diagonals, as on a numeric keypad
+const STATION_KEY_DIRECTIONS = {
+  ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0],
+  Home: [-1, -1], PageUp: [1, -1], End: [-1, 1], PageDown: [1, 1],
+};
+
+/**
+ * The station the keyboard moves to from fromId in direction [dx, dy]: the
+ * nearest one within 45° of it, where stations off the exact 0°/45°/90° ray
+ * count as farther. Null at the edge of the board.
+ */
+function stationInDirection(fromId, [dx, dy]) {
+  const from = stationById.get(fromId);
+  if (!from) return null;
+  let best = null;
+  let bestCost = Infinity;
+  for (const s of lastStations) {
+    const vx = s.x - from.x;
+    const vy = s.y - from.y;
+    const dist = Math.hypot(vx, vy);
+    if (!dist) continue;
+    const cos = (vx * dx + vy * dy) / (dist * Math.hypot(dx, dy));
+    if (cos <= Math.SQRT1_2 + 1e-9) continue;
+    const cost = dist * (2 - cos);
+    if (cost < bestCost) {
+      best = s.id;
+      bestCost = cost;
+    }
+  }
+  return best;
+}
+
+// Screen-reader name of a station: symbol, district, train/transfer station,
+// line start, the lines serving it and its move hint
+function stationLabel(s, lineSets, hint) {
+  const parts = [`Station ${s.id}`, s.type === "?" ? "any symbol" : `symbol ${s.type}`];
+  const meta = getStationMeta(s.id);
+  if (meta?.district != null) parts.push(`district ${meta.district}`);
+  if (core.board.trainStationIds.includes(s.id)) parts.push("train station");
+  if (s.id === transferStation()) parts.push("transfer station");
+  const starts = LINES.filter(l => l.start === s.id).map(l => l.name);
+  if (starts.length) parts.push(`start of ${starts.join(" and ")}`);
+  const served = [...(lineSets.get(s.id) || [])].map(lineName);
+  if (served.length) parts.push(`on ${served.join(", ")}`);
+  if (hint) parts.push(hint);
+  return parts.join(", ");
+}
+
+function updateStationLabels() {
+  const lineSets = stationLineSets();
+  document.querySelectorAll(".station").forEach(node => {
+    const s = stationById.get(+node.dataset.id);
+    if (!s) return;
+    const hint =
+      node.classList.contains("selected") ? "selected origin" :
+      node.classList.contains("legal-target") ? "legal target" :
+      node.classList.contains("legal-origin") ? "legal origin" : "";
+    node.setAttribute("aria-label", stationLabel(s, lineSets, hint));
+  });
 }
 
 function drawSegments() {
@@ -305,36 +740,255 @@ function drawSegments() {
       svg.appendChild(el);
     }
   }
+  renderOverlay();
+}
+
+
+/* Zoom & pan ──────────────────────────────────────────────────────────────── */
+// The board's zoom transform: scale, then offset in viewport pixels (0, 0 = fit)
+const boardView = { zoom: 1, x: 0, y: 0 };
+
+// Pointers down on the board (id -> { x, y }); two of them pinch
+const boardPointers = new Map();
+let pinch = null; // { from: boardView copy, midX, midY, dist }
+
+// Clamp the view so the board always fills the viewport, then apply it
+function applyBoardView() {
+  const board = document.querySelector(".board");
+  const w = board.offsetWidth;
+  const h = board.offsetHeight;
+  boardView.zoom = Math.min(BOARD_ZOOM_MAX, Math.max(1, boardView.zoom));
+  boardView.x = Math.min(0, Math.max(w - w * boardView.zoom, boardView.x));
+  boardView.y = Math.min(0, Math.max(h - h * boardView.zoom, boardView.y));
+  board.style.transform = boardView.zoom === 1 ? "" :
+    `translate(${boardView.x}px, ${boardView.y}px) scale(${boardView.zoom})`;
+  if (btnFitBoard) btnFitBoard.disabled = boardView.zoom === 1;
+}
+
+function fitBoard() {
+  Object.assign(boardView, { zoom: 1, x: 0, y: 0 });
+  applyBoardView();
+  renderRiver();
+}
+
+/**
+ * Zoom to `zoom` so that the board point under (fromX, fromY) in view `from`
+ * ends up under (toX, toY) — the fingers' midpoint for a pinch, which also
+ * pans the board. Points are client pixels.
+ */
+function zoomBoard(from, zoom, fromX, fromY, toX = fromX, toY = fromY) {
+  const rect = boardViewport.getBoundingClientRect();
+  const px = (fromX - rect.left - from.x) / from.zoom;
+  const py = (fromY - rect.top - from.y) / from.zoom;
+  boardView.zoom = Math.min(BOARD_ZOOM_MAX, Math.max(1, zoom));
+  boardView.x = toX - rect.left - px * boardView.zoom;
+  boardView.y = toY - rect.top - py * boardView.zoom;
+  applyBoardView();
+}
+
+// Pan just enough to bring a station (moved to with the keyboard) into view
+function keepStationInView(id) {
+  const node = document.querySelector(`.station[data-id="${id}"]`);
+  if (!node || !boardViewport || boardView.zoom === 1) return;
+  const view = boardViewport.getBoundingClientRect();
+  const box = node.getBoundingClientRect();
+  const margin = box.width;
+  if (box.left < view.left + margin) boardView.x += view.left + margin - box.left;
+  if (box.right > view.right - margin) boardView.x -= box.right - (view.right - margin);
+  if (box.top < view.top + margin) boardView.y += view.top + margin - box.top;
+  if (box.bottom > view.bottom - margin) boardView.y -= box.bottom - (view.bottom - margin);
+  applyBoardView();
+}
+
+function pinchSpan() {
+  const [a, b] = [...boardPointers.values()];
+  return { midX: (a.x + b.x) / 2, midY: (a.y + b.y) / 2, dist: Math.hypot(a.x - b.x, a.y - b.y) || 1 };
+}
+
+
+/* Scoring overlay ──────────────────────────────────────────────────────────── */
+let overlayOn = false;
+
+// The line whose districts the overlay shows: the picked one, else the line in play
+// (after the game, the last one)
+function overlayLineId() {
+  const picked = overlayLineSelect?.value;
+  if (picked) return Number(picked);
+  return state.order[Math.min(state.roundIndex, state.order.length - 1)];
+}
+
+// District of every grid cell: the district of the nearest station
+function districtCells() {
+  const cells = [];
+  for (let y = 0; y < gridDims.rows; y++) {
+    for (let x = 0; x < gridDims.cols; x++) {
+      let best = null, bestDist = Infinity;
+      for (const st of lastStations) {
+        const meta = getStationMeta(st.id);
+        if (!meta || meta.district == null) continue;
+        const d = (st.x - x) ** 2 + (st.y - y) ** 2;
+        if (d < bestDist) {
+          bestDist = d;
+          best = meta.district;
+        }
+      }
+      cells.push({ x, y, district: best });
+    }
+  }
+  return cells;
+}
+
+function districtColor(district, alpha) {
+  return `hsla(${(district * 137.5) % 360}, 70%, 55%, ${alpha})`;
+}
+
+/**
+ * Draw the scoring overlay: district regions (covered districts of the shown
+ * line stronger, with its station count), stations served by 2/3/4+ lines and
+ * visited train stations.
+ */
+function renderOverlay() {
+  if (!overlaySvg) return;
+  overlaySvg.innerHTML = "";
+  overlaySvg.hidden = !overlayOn;
+  if (overlayLegend) overlayLegend.hidden = !overlayOn;
+  if (btnOverlay) btnOverlay.setAttribute("aria-pressed", String(overlayOn));
+  if (!overlayOn) return;
+
+  const NS = "http://www.w3.org/2000/svg";
+  const add = (tag, attrs, text) => {
+    const el = document.createElementNS(NS, tag);
+    for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+    if (text !== undefined) el.textContent = text;
+    overlaySvg.appendChild(el);
+    return el;
+  };
+
+  const lineId = overlayLineId();
+  const LS = lineId === undefined ? null : lineStates.get(lineId) ?? newLineState(lineId);
+  const counts = LS ? lineDistrictCounts(LS) : new Map();
+
+  // District regions, their borders and the shown line's count per district
+  const cells = districtCells();
+  const at = (x, y) => cells[y * gridDims.cols + x]?.district;
+  const centers = new Map(); // district -> { x, y, n }
+  for (const { x, y, district } of cells) {
+    if (district == null) continue;
+    add("rect", {
+      x: x * SVG_CELL, y: y * SVG_CELL, width: SVG_CELL, height: SVG_CELL,
+      fill: districtColor(district, counts.has(district) ? 0.35 : 0.1),
+    });
+    if (x + 1 < gridDims.cols && at(x + 1, y) !== district) {
+      add("line", { x1: (x + 1) * SVG_CELL, y1: y * SVG_CELL, x2: (x + 1) * SVG_CELL, y2: (y + 1) * SVG_CELL, class: "district-border" });
+    }
+    if (y + 1 < gridDims.rows && at(x, y + 1) !== district) {
+      add("line", { x1: x * SVG_CELL, y1: (y + 1) * SVG_CELL, x2: (x + 1) * SVG_CELL, y2: (y + 1) * SVG_CELL, class: "district-border" });
+    }
+    const c = centers.get(district) || { x: 0, y: 0, n: 0 };
+    centers.set(district, { x: c.x + x, y: c.y + y, n: c.n + 1 });
+  }
+  for (const [district, count] of counts) {
+    const c = centers.get(district);
+    if (!c) continue;
+    add("text", {
+      x: (c.x / c.n + 0.5) * SVG_CELL, y: (c.y / c.n + 0.5) * SVG_CELL + 45,
+      class: "district-count",
+    }, `D${district}: ${count}`);
+  }
+
+  // Junctions (2/3/4+ lines) and visited train stations
+  for (const [sid, lineSet] of stationLineSets()) {
+    const st = stationById.get(sid);
+    if (!st) continue;
+    const [cx, cy] = toSvgPoint(st);
+    if (lineSet.size >= 2) {
+      add("circle", { cx, cy, r: 30, class: `junction junction-${Math.min(lineSet.size, 4)}` });
+    }
+    if (getStationMeta(sid)?.train) {
+      add("rect", { x: cx - 36, y: cy - 36, width: 72, height: 72, rx: 8, class: "train-visited" });
+    }
+  }
+
+  if (overlayLegend) {
+    const line = LINES.find(l => l.id === lineId);
+    overlayLegendText.textContent = line
+      ? `${line.name}: ${counts.size} districts, max ${counts.size ? Math.max(...counts.values()) : 0} in one`
+      : "";
+  }
+}
+
+function renderOverlayLinePicker() {
+  if (!overlayLineSelect) return;
+  const picked = overlayLineSelect.value;
+  overlayLineSelect.innerHTML = "";
+  overlayLineSelect.appendChild(new Option("Line in play", ""));
+  for (const line of LINES) overlayLineSelect.appendChild(new Option(line.name, String(line.id)));
+  overlayLineSelect.value = LINES.some(l => String(l.id) === picked) ? picked : "";
 }
 
 
 /* ────────────────────────────────────────────────────────────────────────────
-   5) GAME CONFIG & STATE (LINES, TIMER, DECK, SCORING)
+   5) GAME CONFIG & STATE (TIMER, DECK, SCORING)
 ──────────────────────────────────────────────────────────────────────────── */
-const LINES = [
-  { id: 0, name: "M1", color: "#FFD800", start: 19 },
-  { id: 1, name: "M2", color: "#E41F18", start: 28 },
-  { id: 2, name: "M3", color: "#005CA5", start: 3  },
-  { id: 3, name: "M4", color: "#4CA22F", start: 39 }
-];
-
+// Engine fields (line order, deck, counters, card in play, seed, rules, ...;
+// see newGameState() in engine.js) plus what only the page needs
 const state = {
+  ...engine.newGameState(),
   player: "",
   seconds: 0,
   timer: null,
-  order: [],        // randomized line ids
-  roundIndex: 0,    // index within order
-  deck: [],         // cards { ptype, sym }
-  drawsThisRound: 0,
-  centerCount: 0,
-  sideCount: 0,
-  currentCard: null, // { ptype, sym } | null
-  buildUsedForThisCard: false, // one build per card
-  roundComplete: false,        // becomes true when round-ending conditions are met
-  heldCard: null,              // optional stored card for switch ability (not currently surfaced)
-  switchUsedThisRound: false,  // whether the switch button was already used this round
-  pencilMode: false,           // when true, draws planning (pencil) segments instead of real ones
+  pencilArmed: null,           // ability id the player armed for the next section
+  undoAllowed: true,           // rule option; ranked games turn undo off
+  daily: null,                 // "YYYY-MM-DD" for the daily challenge, else null
+  startedAt: null,             // ISO date the game was started (game record header)
+  record: [],                  // game record events, see section 10
+  botAssisted: false,          // the computer played at least one card for the player
+  cardSeconds: 0,              // timed mode: seconds per card, 0 = untimed
+  cardTimeLeft: 0,             // countdown of the card in play
 };
+
+/* Rule variants (presets and normalizeRules() are in engine.js) ──────────── */
+const RULES_KEY = "budapest_metro_rules";
+
+function rulesFromMenu() {
+  const rules = {};
+  for (const el of ruleInputs) {
+    rules[el.dataset.rule] = el.type === "checkbox" ? el.checked : Number(el.value);
+  }
+  return normalizeRules(rules);
+}
+
+function showRulesInMenu(rules) {
+  for (const el of ruleInputs) {
+    if (el.type === "checkbox") el.checked = rules[el.dataset.rule];
+    else el.value = rules[el.dataset.rule];
+  }
+  if (rulesPreset) {
+    rulesPreset.value = Object.keys(RULE_PRESETS).find(id => RULE_PRESETS[id].name === rules.name) || "custom";
+  }
+  if (rulesSummary) rulesSummary.textContent = rules.name;
+}
+
+function loadRulesChoice() {
+  try {
+    return parseRulesKey(localStorage.getItem(RULES_KEY)) || normalizeRules(RULE_PRESETS.standard);
+  } catch (e) {
+    return normalizeRules(RULE_PRESETS.standard);
+  }
+}
+
+function saveRulesChoice(rules) {
+  try {
+    localStorage.setItem(RULES_KEY, rulesKey(rules));
+  } catch (e) {
+    console.warn("Failed to save rule variant to localStorage", e);
+  }
+}
+
+// The map's transfer station, unless the rule variant turns the exception off
+function transferStation() {
+  return engine.transferStation(core);
+}
 // Scoreboard (localStorage-backed)
 const SCORES_KEY = "budapest_metro_scores";
 
@@ -344,9 +998,14 @@ scoresPanel.className = "scores-panel";
 scoresPanel.innerHTML = `
   <h2>Previous games</h2>
   <ul id="score-list"></ul>
+  <h2>Daily challenges</h2>
+  <ul id="daily-score-list"></ul>
+  <div id="variant-scores"></div>
 `;
 menu.appendChild(scoresPanel);
 const scoreList = scoresPanel.querySelector("#score-list");
+const dailyScoreList = scoresPanel.querySelector("#daily-score-list");
+const variantScores = scoresPanel.querySelector("#variant-scores");
 
 function formatDuration(seconds) {
   const m = (seconds / 60) | 0;
@@ -380,12 +1039,60 @@ function renderScores() {
     if (b.score !== a.score) return b.score - a.score; // higher score first
     return a.seconds - b.seconds; // tie-breaker: faster time wins
   });
-  scoreList.innerHTML = "";
-  scores.forEach((entry) => {
+  // Entries without rules predate the variants and were played on the Standard rules
+  const standardKey = rulesKey(RULE_PRESETS.standard);
+  const isStandard = (entry) => !entry.rules || entry.rules === standardKey;
+  const scoreItem = (entry) => {
     const li = document.createElement("li");
-    li.textContent = `${entry.name || "Player"}: ${entry.score} pts — ${formatDuration(entry.seconds || 0)}`;
-    scoreList.appendChild(li);
-  });
+    const mode = entry.mode === "pencil" ? " (pencil)" : "";
+    const ranked = entry.ranked ? " ★" : "";
+    const assisted = entry.assisted ? " 🤖" : "";
+    const hotseatTag = entry.hotseat ? " 👥" : "";
+    li.textContent = `${entry.name || "Player"}: ${entry.score} pts — ${formatDuration(entry.seconds || 0)}${mode}${ranked}${assisted}${hotseatTag}`;
+    li.title = entry.seed ? `Seed: ${entry.seed}` : "";
+    return li;
+  };
+  scoreList.innerHTML = "";
+  const isUntimed = (entry) => !entry.timed;
+  scores.filter(entry => !entry.daily && isStandard(entry) && isUntimed(entry))
+    .forEach(entry => scoreList.appendChild(scoreItem(entry)));
+
+  // Timed games and other rule variants: one list per card time and rule set
+  // so their scores are never mixed
+  if (variantScores) {
+    variantScores.innerHTML = "";
+    const groups = new Map();
+    for (const entry of scores.filter(entry => !entry.daily && !(isStandard(entry) && isUntimed(entry)))) {
+      const key = `${entry.timed || 0}|${entry.rules || standardKey}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+    for (const [key, entries] of groups) {
+      const [timed, rulesText] = key.split("|");
+      const rules = parseRulesKey(rulesText);
+      const h = document.createElement("h2");
+      h.textContent = [
+        Number(timed) ? `Timed: ${timed}s per card` : "",
+        rulesText !== standardKey ? `Rules: ${rules ? rules.name : "Custom"}` : "",
+      ].filter(Boolean).join(" · ");
+      h.title = rulesText;
+      const ul = document.createElement("ul");
+      entries.forEach(entry => ul.appendChild(scoreItem(entry)));
+      variantScores.append(h, ul);
+    }
+  }
+
+  // Daily challenges: newest day first, then by score (already sorted)
+  if (!dailyScoreList) return;
+  dailyScoreList.innerHTML = "";
+  scores
+    .filter(entry => entry.daily)
+    .sort((a, b) => b.daily.localeCompare(a.daily))
+    .forEach((entry) => {
+      const li = document.createElement("li");
+      li.textContent = `${entry.daily} — ${entry.name || "Player"}: ${entry.score} pts — ${formatDuration(entry.seconds || 0)}`;
+      dailyScoreList.appendChild(li);
+    });
 }
 
 // initial render of scores on load
@@ -398,9 +1105,10 @@ const roundResults = []; // { lineId, PK, PM, PD, FP }
 const stationOwner = new Map(); // stationId -> lineId
 
 // Timer
-function startTimer() {
+function startTimer(fromSeconds = 0) {
   stopTimer();
-  state.seconds = 0;
+  state.seconds = fromSeconds;
+  hudTime.textContent = formatDuration(state.seconds);
   state.timer = setInterval(() => {
     state.seconds++;
     const m = (state.seconds / 60) | 0;
@@ -415,40 +1123,184 @@ function stopTimer() {
   }
 }
 
-// Deck (A/B/C/D/Joker × center/side; ptype unused for now)
-function buildDeck() {
-  const base = ["A","B","C","D","Joker"];
-  const deck = [];
-  for (const ptype of ["center","side"]) {
-    for (const sym of base) deck.push({ ptype, sym });
+// Timed mode: each card (and each hot-seat turn) gets state.cardSeconds
+let countdownTimer = null;
+
+function startCardCountdown(seconds = state.cardSeconds) {
+  stopCardCountdown();
+  if (state.cardSeconds && state.currentCard && !replay.active) {
+    state.cardTimeLeft = seconds;
+    countdownTimer = setInterval(() => {
+      state.cardTimeLeft--;
+      renderCountdown();
+      if (state.cardTimeLeft <= 0) cardTimeUp();
+    }, 1000);
+  }
+  renderCountdown();
+}
+
+function stopCardCountdown() {
+  if (countdownTimer) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+  }
+  renderCountdown();
+}
+
+function renderCountdown() {
+  if (!hudCountdown) return;
+  hudCountdown.hidden = !countdownTimer;
+  hudCountdown.textContent = `⏱ ${Math.max(0, state.cardTimeLeft)}s`;
+  hudCountdown.classList.toggle("urgent", state.cardTimeLeft <= 5);
+}
+
+/**
+ * The card's time ran out: it counts as skipped and the game moves on as if
+ * the player had pressed the button for it (next seat, done online, next card).
+ * Solo, the round's last card running out ends the round; hot-seat waits for End round.
+ */
+function cardTimeUp() {
+  stopCardCountdown();
+  if (hotseat && !hotseat.cardDone) {
+    endSeatTurn(); // the next seat gets its own countdown
+    if (!hotseat.cardDone) return;
+  }
+  if (online) finishOnlineCard();
+  else if (state.roundComplete && !hotseat) nextRound(); // the round's last card ran out
+  else drawCard();
+}
+
+// In-progress game (localStorage-backed), written after every action and when the page is hidden
+const SAVE_KEY = "budapest_metro_save";
+
+// state fields that survive a reload (timer is runtime-only, Sets handled below)
+const SAVED_STATE_KEYS = [
+  "player", "seconds", "order", "roundIndex", "deck", "drawsThisRound",
+  "centerCount", "sideCount", "currentCard", "buildUsedForThisCard", "roundComplete",
+  "heldCard", "switchUsedThisRound", "pencilMode", "pencilArmed", "undoAllowed",
+  "seed", "rngState", "daily", "startedAt", "record", "botAssisted",
+  "objectives", "rules", "cardSeconds", "cardTimeLeft",
+];
+
+function serializeGame() {
+  const saved = {};
+  for (const key of SAVED_STATE_KEYS) saved[key] = state[key];
+  saved.pencilUsed = [...state.pencilUsed];
+
+  return {
+    version: 1,
+    map: currentMapId,
+    savedAt: new Date().toISOString(),
+    state: saved,
+    lines: serializeLineStates(lineStates),
+    owners: [...stationOwner],
+    rounds: roundResults,
+    opponent: opponent && {
+      level: opponent.level,
+      playedDraw: opponent.playedDraw,
+      lines: serializeLineStates(opponent.lines),
+      owners: [...opponent.owners],
+      rounds: opponent.rounds,
+    },
+    hotseat: hotseat && serializeHotseat(),
+  };
+}
+
+function serializeLineStates(states) {
+  return [...states].map(([id, LS]) => ({
+    id,
+    segments: LS.segments,
+    endpoints: [...LS.endpoints],
+    visited: [...LS.visited],
+    doubled: [...LS.doubled],
+  }));
+}
+
+function restoreLineStates(target, lines) {
+  for (const l of lines) {
+    target.set(l.id, {
+      segments: l.segments,
+      endpoints: new Set(l.endpoints),
+      visited: new Set(l.visited),
+      doubled: new Set(l.doubled),
+    });
+  }
+}
+
+function saveGame() {
+  if (replay.active || online) return; // a live room can't be resumed
+  if (!state.order.length || state.roundIndex >= state.order.length) return;
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(serializeGame()));
+  } catch (e) {
+    console.warn("Failed to save game to localStorage", e);
+  }
+}
+
+function loadSavedGame() {
+  try {
+    const raw = localStorage.getItem(SAVE_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    return parsed && parsed.version === 1 ? parsed : null;
+  } catch (e) {
+    console.warn("Failed to load saved game from localStorage", e);
+    return null;
   }
-  for (let i = deck.length - 1; i > 0; i--) {
-    const j = (Math.random() * (i + 1)) | 0;
-    [deck[i], deck[j]] = [deck[j], deck[i]];
+}
+
+function clearSavedGame() {
+  try {
+    localStorage.removeItem(SAVE_KEY);
+  } catch (e) {
+    console.warn("Failed to clear saved game in localStorage", e);
   }
-  return deck;
+  renderContinueButton();
 }
 
+function renderContinueButton() {
+  if (!btnContinue) return;
+  const saved = loadSavedGame();
+  btnContinue.hidden = !saved;
+  if (!saved) return;
+  const s = saved.state;
+  btnContinue.textContent =
+    `Continue game (${s.player}, round ${s.roundIndex + 1}/${s.order.length}, ${formatDuration(s.seconds)})`;
+}
+renderContinueButton();
+
+// Back to the menu from the game, replay or editor; the saved game may have changed meanwhile
+function showMenu() {
+  game.classList.remove("active");
+  editorScreen.classList.remove("active");
+  menu.classList.add("active");
+  renderContinueButton();
+}
+
+// Local calendar day, e.g. "2025-05-01"
+function todayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
 
 /* ────────────────────────────────────────────────────────────────────────────
    6) PER-LINE BUILD STATE
 ──────────────────────────────────────────────────────────────────────────── */
-// Map<lineId, { segments:[{a,b}], endpoints:Set<number>, visited:Set<number> }>
+// Map<lineId, { segments:[{a,b}], endpoints:Set<number>, visited:Set<number>, doubled:Set<number> }>
 const lineStates = new Map();
 
+// The page's game as the engine sees it. The hot-seat, opponent and replay
+// code swap sheets in and out of these same objects, so they never change.
+const core = { board: null, state, lineStates, stationOwner, roundResults };
+
 function currentLine() {
-  return LINES.find(l => l.id === state.order[state.roundIndex]);
+  return engine.currentLine(core);
+}
+function newLineState(lineId) {
+  return engine.newLineState(core.board, lineId);
 }
 function ensureLineState(lineId) {
-  if (!lineStates.has(lineId)) {
-    const startId = LINES.find(l => l.id === lineId).start;
-    lineStates.set(lineId, {
-      segments: [],
-      endpoints: new Set(),
-      visited: new Set([startId]),
-    });
-  }
-  return lineStates.get(lineId);
+  return engine.ensureLineState(core, lineId);
 }
 
 
@@ -460,10 +1312,113 @@ function setCardUI(cardData) {
   if (!cardData) {
     cardEl.textContent = "—";
     cardEl.dataset.ptype = "";
+    cardEl.setAttribute("aria-label", "No card");
     return;
   }
   cardEl.textContent = cardData.sym === "Joker" ? "★" : cardData.sym;
   cardEl.dataset.ptype = cardData.ptype; // "center" or "side"
+  cardEl.setAttribute("aria-label", `Card ${cardName(cardData)}`);
+}
+
+function setHeldCardUI() {
+  if (!heldCardEl) return;
+  const held = state.heldCard;
+  heldCardEl.textContent = held ? (held.sym === "Joker" ? "★" : held.sym) : "—";
+  heldCardEl.dataset.ptype = held ? held.ptype : "";
+  heldCardEl.setAttribute("aria-label", held ? `Held card ${cardName(held)}` : "No held card");
+  heldCardEl.classList.toggle("used", state.switchUsedThisRound);
+}
+
+/**
+ * Switch is available once per round, for a revealed card that was not built with yet.
+ */
+function updateSwitchUI() {
+  setHeldCardUI();
+  if (!btnSwitch) return;
+  btnSwitch.disabled =
+    !state.currentCard ||
+    !state.heldCard ||
+    state.buildUsedForThisCard ||
+    state.switchUsedThisRound ||
+    !!hotseat || !!online; // the revealed card is shared in hot-seat and online games
+}
+
+// Ability that applies to the next section, if any
+function armedPencilAbility() {
+  if (!state.pencilMode || !state.pencilArmed) return null;
+  return state.pencilUsed.has(state.pencilArmed) ? null : state.pencilArmed;
+}
+
+function renderPencilAbilities() {
+  if (!hudPencil || !pencilButtons) return;
+  hudPencil.hidden = !state.pencilMode;
+  pencilButtons.innerHTML = "";
+  if (!state.pencilMode) return;
+
+  for (const ability of PENCIL_ABILITIES) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "secondary pencil-ability";
+    btn.dataset.ability = ability.id;
+    btn.textContent = ability.label;
+    btn.title = ability.hint;
+    const used = state.pencilUsed.has(ability.id);
+    btn.disabled = used || state.roundIndex >= state.order.length;
+    btn.classList.toggle("active", state.pencilArmed === ability.id && !used);
+    btn.setAttribute("aria-pressed", String(state.pencilArmed === ability.id && !used));
+    pencilButtons.appendChild(btn);
+  }
+}
+
+function togglePencilAbility(id) {
+  if (!state.pencilMode || state.pencilUsed.has(id)) return;
+  state.pencilArmed = state.pencilArmed === id ? null : id;
+  renderPencilAbilities();
+  updateMoveHints();
+  saveGame();
+}
+
+function renderSeed() {
+  if (hudRules) {
+    hudRules.textContent = state.rules?.name || "—";
+    hudRules.title = state.rules ? rulesKey(state.rules) : "";
+  }
+  if (!hudSeed) return;
+  hudSeed.textContent = state.daily ? `Daily ${state.daily}` : state.seed || "—";
+}
+
+// Objective cards with live progress on the board currently shown
+function renderObjectives() {
+  if (!hudObjectives) return;
+  hudObjectives.hidden = !state.objectives.length || replay.active;
+  hudObjectives.innerHTML = "";
+  if (hudObjectives.hidden) return;
+
+  for (const it of objectiveScore().items) {
+    const card = document.createElement("div");
+    card.className = "objective-card" + (it.done ? " done" : "");
+    card.title = `${it.objective.points} points when completed`;
+    card.innerHTML = `<strong></strong><span></span>`;
+    card.querySelector("strong").textContent = it.objective.title;
+    card.querySelector("span").textContent = it.done
+      ? `✓ +${it.objective.points}`
+      : `${it.value}/${it.target} · ${it.objective.points} pts`;
+    hudObjectives.appendChild(card);
+  }
+}
+
+// Live projected score of the board shown (see projectedScore())
+function renderProjection() {
+  if (!hudProjection) return;
+  const p = projectedScore();
+  hudProjection.hidden = !p;
+  if (!p) return;
+  const { PK, PM, PD, FP } = p.line;
+  projLine.textContent = `PK ${PK} × PM ${PM} + PD ${PD} = ${FP} FP`;
+  projTotal.textContent = String(p.total);
+  projTotal.parentElement.title =
+    `Lines ${p.sumFP} + train stations ${p.PP} + junctions ${p.junctions} ` +
+    `(P2=${p.P2}, P3=${p.P3}, P4=${p.P4})` + (state.objectives.length ? ` + objectives ${p.objectives}` : "");
 }
 
 function renderRounds() {
@@ -494,16 +1449,249 @@ function updateHeaderLine() {
   </span>`;
 }
 
-// Station symbol vs card
-function stationMatchesCard(target) {
-  if (!state.currentCard) return false;
-  // Deák tér acts as joker target for any card symbol
-  if (target.id === STATION_TRANSFER_EXCEPTION) return true;
-  const sym = state.currentCard.sym;
-  if (sym === "Joker" || target.type === "?") return true;
-  return target.type === sym;
-}
-
+// Build interaction: pick origin -> pick target
+let selectedStationId = null;
+
+/**
+ * A station was clicked or picked with the keyboard: select it as the origin,
+ * or build from the selected origin to it (picking the origin again drops it).
+ */
+function pickStation(id) {
+  if (!game.classList.contains("active") || replay.active) return;
+
+  if (selectedStationId === null) {
+    const problem = originProblem(id);
+    if (problem) {
+      showRejection(problem);
+      return;
+    }
+    selectStation(id);
+    const targets = legalMoves().get(id)?.length || 0;
+    announce(`Origin ${id} selected` +
+      (state.currentCard ? `, ${targets} legal target${targets === 1 ? "" : "s"}` : ""));
+    return;
+  }
+
+  const fromId = selectedStationId;
+  clearStationSelection();
+  if (fromId === id) return; // clicking the origin again just deselects it
+  buildSection(fromId, id);
+}
+
+function selectStation(id) {
+  selectedStationId = id;
+  document.querySelector(`.station[data-id="${id}"]`)?.classList.add("selected");
+  updateMoveHints();
+}
+
+// Why a station can't be the origin (null when it can): the start station for the
+// first section, then an endpoint (any station of the line with "branch" armed)
+function originProblem(id) {
+  const line = currentLine();
+  if (!line) return { code: "over", message: "The game is over" };
+  const LS = ensureLineState(line.id);
+  if (LS.segments.length === 0) {
+    return id === line.start ? null
+      : { code: "origin", message: `${line.name} must start at station ${line.start}`, station: line.start };
+  }
+  const isBranch = armedPencilAbility() === "branch";
+  return LS.endpoints.has(id) || (isBranch && LS.visited.has(id)) ? null
+    : { code: "origin", message: `Station ${id} is not an end of ${line.name}`, station: id };
+}
+
+// Why the player can't build fromId-toId right now (null when they can)
+function sectionProblem(fromId, toId) {
+  // Must draw a card first and only one build per card
+  return !state.currentCard ? { code: "no-card", message: "Draw a card first" } :
+    online?.done ? { code: "waiting", message: "Waiting for the other players" } :
+    state.buildUsedForThisCard ? { code: "card-used", message: "This card is used up — draw the next card" } :
+    connectionProblem(fromId, toId);
+}
+
+// Build a section the player asked for, or tell them why it is refused
+function buildSection(fromId, toId) {
+  const problem = sectionProblem(fromId, toId);
+  if (!problem) {
+    clearRejection();
+    addSegment(fromId, toId);
+    updateSwitchUI();
+
+    // if this was the 8th card (round complete), move to the next round automatically
+    // (hot-seat waits until every player has played it, online games for the relay)
+    if (state.roundComplete && !hotseat && !online) {
+      nextRound();
+    }
+  } else {
+    // tiny feedback on invalid move
+    showRejection(problem);
+    cardEl?.animate(
+      [
+        { transform: "translateY(0)" },
+        { transform: "translateY(-4px)" },
+        { transform: "translateY(0)" }
+      ],
+      { duration: 300 }
+    );
+  }
+}
+
+/* Drag to draw ────────────────────────────────────────────────────────────── */
+const DRAG_THRESHOLD_PX = 6; // a shorter press is a click
+
+// Pointer drag from an origin: { pointerId, from, x, y, moved, target } | null
+let drag = null;
+
+/**
+ * Station the rubber band snaps to: the pointer's direction from the origin
+ * is rounded to the nearest 0°/45°/90°, and of the stations on that ray the
+ * one nearest the pointer wins. Null when no station lies that way.
+ */
+function snapTarget(fromId, gx, gy) {
+  const from = stationById.get(fromId);
+  if (Math.hypot(gx - from.x, gy - from.y) < 0.5) return null;
+  const angle = Math.round(Math.atan2(gy - from.y, gx - from.x) / (Math.PI / 4)) * (Math.PI / 4);
+  const dx = Math.round(Math.cos(angle));
+  const dy = Math.round(Math.sin(angle));
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const s of lastStations) {
+    const sx = s.x - from.x;
+    const sy = s.y - from.y;
+    const steps = dx ? sx / dx : sy / dy;
+    if (steps <= 0 || sx !== steps * dx || sy !== steps * dy) continue;
+    const dist = Math.hypot(s.x - gx, s.y - gy);
+    if (dist < bestDist) {
+      best = s.id;
+      bestDist = dist;
+    }
+  }
+  return best;
+}
+
+// The drag passed the threshold: select its origin so the legal targets light up
+function startDrag() {
+  drag.moved = true;
+  clearStationSelection();
+  clearRejection();
+  selectStation(drag.from);
+}
+
+/**
+ * Ghost section from the origin: to the snapped station, green when the
+ * section is legal and red when it is not, or a plain line to the pointer.
+ */
+function updateRubberBand(clientX, clientY) {
+  const [gx, gy] = pxToGrid(clientX, clientY);
+  drag.target = snapTarget(drag.from, gx, gy);
+
+  let band = svg.querySelector(".rubber-band");
+  if (!band) {
+    band = document.createElementNS("http://www.w3.org/2000/svg", "line");
+    band.classList.add("rubber-band");
+    svg.appendChild(band);
+  }
+  const [x1, y1] = toSvgPoint(stationById.get(drag.from));
+  const [x2, y2] = toSvgPoint(drag.target !== null ? stationById.get(drag.target) : { x: gx, y: gy });
+  band.setAttribute("x1", x1);
+  band.setAttribute("y1", y1);
+  band.setAttribute("x2", x2);
+  band.setAttribute("y2", y2);
+  const legal = drag.target !== null && !sectionProblem(drag.from, drag.target);
+  band.classList.toggle("legal", legal);
+  band.classList.toggle("illegal", drag.target !== null && !legal);
+}
+
+// Release (commit = true) builds the snapped section through buildSection();
+// a cancelled drag just drops the origin
+function endDrag(commit) {
+  const { from, target, moved } = drag;
+  drag = null;
+  svg.querySelector(".rubber-band")?.remove();
+  if (!moved) return; // a plain click, handled by the click listener
+  clearStationSelection();
+  if (commit && target !== null) buildSection(from, target);
+}
+
+function clearStationSelection() {
+  selectedStationId = null;
+  document.querySelectorAll(".station.selected").forEach(n => n.classList.remove("selected"));
+  updateMoveHints();
+}
+
+let rejectionTimer = null;
+
+/**
+ * Tell the player why a section was refused: the reason goes to the HUD and
+ * the offending station or section flashes on the SVG layer for a moment.
+ */
+function showRejection(problem) {
+  clearRejection();
+  if (hudReject) {
+    hudReject.textContent = problem.message;
+    hudReject.hidden = false;
+  }
+
+  let mark = null;
+  if (problem.segment) {
+    const A = stationById.get(problem.segment.a);
+    const B = stationById.get(problem.segment.b);
+    const [x1, y1] = toSvgPoint(A);
+    const [x2, y2] = toSvgPoint(B);
+    mark = document.createElementNS("http://www.w3.org/2000/svg", "line");
+    mark.setAttribute("x1", x1);
+    mark.setAttribute("y1", y1);
+    mark.setAttribute("x2", x2);
+    mark.setAttribute("y2", y2);
+  } else if (problem.station !== undefined) {
+    const [cx, cy] = toSvgPoint(stationById.get(problem.station));
+    mark = document.createElementNS("http://www.w3.org/2000/svg", "circle");
+    mark.setAttribute("cx", cx);
+    mark.setAttribute("cy", cy);
+    mark.setAttribute("r", SVG_CELL * 0.42);
+  }
+  if (mark && svg) {
+    mark.classList.add("rejection-mark");
+    svg.appendChild(mark);
+  }
+  rejectionTimer = setTimeout(clearRejection, 2500);
+}
+
+function clearRejection() {
+  clearTimeout(rejectionTimer);
+  rejectionTimer = null;
+  if (hudReject) hudReject.hidden = true;
+  svg?.querySelectorAll(".rejection-mark").forEach(n => n.remove());
+}
+
+/**
+ * Highlight the legal origins for the revealed card (or, once an origin is
+ * selected, its legal targets) and flag a card that has no legal section.
+ */
+function updateMoveHints() {
+  document.querySelectorAll(".station.legal-origin, .station.legal-target")
+    .forEach(n => n.classList.remove("legal-origin", "legal-target"));
+  const moves = replay.active || online?.done ? new Map() : legalMoves();
+
+  const selected = selectedStationId;
+  const lit = selected === null ? [...moves.keys()] : moves.get(selected) || [];
+  for (const id of lit) {
+    const node = document.querySelector(`.station[data-id="${id}"]`);
+    if (node) node.classList.add(selected === null ? "legal-origin" : "legal-target");
+  }
+  updateStationLabels();
+
+  if (!hudNoMove) return;
+  const stuck = !replay.active && !online?.done && !!state.currentCard && !state.buildUsedForThisCard &&
+    !!currentLine() && moves.size === 0;
+  hudNoMove.hidden = !stuck;
+  if (!stuck) return;
+  const pencilHelps = PENCIL_ABILITIES.some(a =>
+    state.pencilMode && !state.pencilUsed.has(a.id) && legalMoves(a.id).size > 0);
+  hudNoMove.textContent = pencilHelps
+    ? "No legal section for this card without a pencil ability."
+    : `No legal section for this card — ${state.roundComplete ? "end the round" : "draw the next card"}.`;
+}
 
 /* ────────────────────────────────────────────────────────────────────────────
    8) VALIDATION & MUTATIONS
@@ -514,168 +1702,204 @@ function stationMatchesCard(target) {
  */
 function updatePPView() {
   if (!hudPP && !trainSlider) return 0;
-  const visitedTrainStations = new Set();
-  for (const [, LS] of lineStates) {
-    for (const sid of LS.visited) {
-      const meta = getStationMeta(sid);
-      if (meta && meta.train) visitedTrainStations.add(sid);
-    }
-  }
-  const PP = visitedTrainStations.size;
+  const { PP } = networkScore();
   if (hudPP) hudPP.textContent = String(PP);
   if (trainSlider) {
-    trainSlider.max = String(TRAIN_STATION_IDS.length || 5);
+    trainSlider.max = String(core.board?.trainStationIds.length || 5);
     trainSlider.value = String(PP);
   }
   return PP;
 }
 
 /**
- * Compute and store score for the current round (line).
- * PK: number of districts covered
- * PM: max stations in any district
- * PD: Danube crossings
- * FP: PK * PM + PD
+ * Score the current round's line into roundResults (see scoreLine) and show it.
  */
 function computeCurrentRoundScore() {
-  const lineId = state.order[state.roundIndex];
-  const LS = ensureLineState(lineId);
-  const visited = Array.from(LS.visited);
-
-  // Districts
-  const districtCounts = new Map();
-  for (const sid of visited) {
-    const meta = getStationMeta(sid);
-    if (!meta || meta.district == null) continue;
-    const d = meta.district;
-    districtCounts.set(d, (districtCounts.get(d) || 0) + 1);
-  }
-  const PK = districtCounts.size;
-  const PM = districtCounts.size ? Math.max(...districtCounts.values()) : 0;
-
-  // Danube crossings (side changes)
-  let PD = 0;
-  for (const seg of LS.segments) {
-    const a = getStationMeta(seg.a);
-    const b = getStationMeta(seg.b);
-    if (!a || !b || !a.side || !b.side) continue;
-    if (a.side !== b.side) PD++;
-  }
-
-  const FP = PK * PM + PD;
-  const result = { lineId, PK, PM, PD, FP };
-  roundResults.push(result);
-
-  if (hudRoundScore) hudRoundScore.textContent = String(FP);
+  const result = engine.scoreRound(core);
+
+  if (hudRoundScore) hudRoundScore.textContent = String(result.FP);
   const sumFP = roundResults.reduce((sum, r) => sum + r.FP, 0);
   if (hudTotalScore) hudTotalScore.textContent = String(sumFP);
 
   return result;
 }
 
+// district -> stations of the line in it (a pencil "duplicate" station counts twice)
+function lineDistrictCounts(LS) {
+  return engine.lineDistrictCounts(core, LS);
+}
+
 /**
- * Station ownership: each station can belong to only one line,
- * except Deák tér (ID 30) and the current line's start station.
+ * PK/PM/PD/FP of one line state, without touching roundResults or the HUD.
  */
-function canConnect(fromId, toId) {
-  const lineId = state.order[state.roundIndex];
-  const LS = ensureLineState(lineId);
-
-  const A = stationById.get(fromId);
-  const B = stationById.get(toId);
-  if (!A || !B || fromId === toId) return false;
-
-  const startId = currentLine().start;
-  const isTransferAllowed = (id) =>
-    id === STATION_TRANSFER_EXCEPTION || id === startId;
-  const ownerFrom = stationOwner.get(fromId);
-  const ownerTo   = stationOwner.get(toId);
-  if (ownerFrom !== undefined && ownerFrom !== lineId && !isTransferAllowed(fromId)) return false;
-  if (ownerTo   !== undefined && ownerTo   !== lineId && !isTransferAllowed(toId))   return false;
-
-  // Geometry: must be straight or 45°
-  if (!isStraightOrDiag(A, B)) return false;
-
-  // Origin: first segment from start, later from endpoints
-  const isFirst = LS.segments.length === 0;
-  if (isFirst) {
-    if (fromId !== startId) return false;
-  } else {
-    if (!LS.endpoints.has(fromId)) return false;
-  }
+function scoreLine(LS) {
+  return engine.scoreLine(core, LS);
+}
 
-  // Target must match card
-  if (!stationMatchesCard(B)) return false;
+// stationId -> Set<lineId> of every line that visits it
+function stationLineSets() {
+  return engine.stationLineSets(core);
+}
 
-  // No pass-through stations
-  if (pathPassesThroughStation(A, B)) return false;
+// What the round and the game would score if they ended now (null between games)
+function projectedScore() {
+  return engine.projectedScore(core);
+}
 
-  // No duplicate segments anywhere (any line, either direction)
-  for (const [, OLS] of lineStates) {
-    for (const s of OLS.segments) {
-      if (
-        (s.a === fromId && s.b === toId) ||
-        (s.a === toId && s.b === fromId)
-      ) {
-        return false;
-      }
-    }
-  }
+// End-of-game bonus of the whole network: { PP, P2, P3, P4, bonus }
+function networkScore() {
+  return engine.networkScore(core);
+}
 
-  // No crossings unless sharing an endpoint
-  const a1 = { x: A.x, y: A.y };
-  const a2 = { x: B.x, y: B.y };
-  for (const [, OLS] of lineStates) {
-    for (const s of OLS.segments) {
-      const C = stationById.get(s.a);
-      const D = stationById.get(s.b);
-      const b1 = { x: C.x, y: C.y };
-      const b2 = { x: D.x, y: D.y };
-      if (!segmentsIntersect(a1, a2, b1, b2)) continue;
-      const sharesEndpoint =
-        fromId === s.a ||
-        fromId === s.b ||
-        toId === s.a ||
-        toId === s.b;
-      if (!sharesEndpoint) return false;
-    }
-  }
+/* Public objectives (the pool is OBJECTIVES in engine.js) ─────────────── */
+// Progress of this game's objectives: { items: [{ objective, value, target, done }], points }
+function objectiveScore() {
+  return engine.objectiveScore(core);
+}
+
+/**
+ * Why the section fromId-toId is not allowed for the current line and card
+ * (null when it is): { code, message, station?, segment? }, see
+ * connectionProblem() in engine.js. `ability` defaults to the armed pencil
+ * ability, which relaxes its own rule.
+ */
+function connectionProblem(fromId, toId, ability = armedPencilAbility()) {
+  return engine.connectionProblem(core, fromId, toId, ability);
+}
+
+function canConnect(fromId, toId, ability = armedPencilAbility()) {
+  return connectionProblem(fromId, toId, ability) === null;
+}
 
-  // No loops: cannot go to station already visited by this line
-  if (LS.visited.has(toId)) return false;
+function lineName(lineId) {
+  return engine.lineName(core.board, lineId);
+}
 
-  return true;
+/**
+ * Legal sections for the revealed card: Map originId -> [targetId, ...],
+ * holding only origins with at least one target. Empty once the card is used.
+ */
+function legalMoves(ability = armedPencilAbility()) {
+  return engine.legalMoves(core, ability);
 }
 
 function addSegment(fromId, toId) {
-  const lineId = state.order[state.roundIndex];
-  const LS = ensureLineState(lineId);
-  LS.segments.push({ a: fromId, b: toId });
-
-  // Toggle endpoints
-  const toggle = (set, v) => (set.has(v) ? set.delete(v) : set.add(v));
-  toggle(LS.endpoints, fromId);
-  toggle(LS.endpoints, toId);
-
-  // Track visited
-  LS.visited.add(fromId);
-  LS.visited.add(toId);
-
-  // Assign station ownership. Start station always becomes owned by the current line.
-  const startId2 = currentLine().start;
-  if (fromId !== STATION_TRANSFER_EXCEPTION) {
-    if (fromId === startId2 || !stationOwner.has(fromId)) {
-      stationOwner.set(fromId, lineId);
-    }
+  const before = snapshotBuildState();
+
+  // The armed pencil ability is spent only if this section needed it
+  const usedAbility = engine.placeSection(core, fromId, toId, armedPencilAbility());
+  if (usedAbility) {
+    state.pencilArmed = null;
+    renderPencilAbilities();
   }
-  if (toId !== STATION_TRANSFER_EXCEPTION) {
-    if (toId === startId2 || !stationOwner.has(toId)) {
-      stationOwner.set(toId, lineId);
-    }
+
+  recordBuild(before);
+  logEvent({ t: "build", a: fromId, b: toId, ability: usedAbility });
+  if (!replay.active) { // replay steps rebuild every section from the start
+    const line = currentLine();
+    announce(`${line.name}: ${fromId} to ${toId} built, ${scoreLine(ensureLineState(line.id)).FP} FP`);
+  }
+
+  drawSegments();
+  updatePPView();
+  renderObjectives();
+  renderProjection();
+  updateMoveHints();
+  saveGame();
+}
+
+/**
+ * The board mutation of a build: segments, endpoints, visited stations and
+ * ownership of the current line. No UI, history or record (the bot uses it
+ * to try sections and rolls back with restoreBuildState()).
+ */
+function applySection(fromId, toId, usedAbility = null) {
+  engine.applySection(core, fromId, toId, usedAbility);
+}
+
+/* Build history (undo/redo within the current round) ────────────────────── */
+// Each entry: { before, after, draw } where before/after are snapshotBuildState()
+// results and draw is the card (drawsThisRound) the section was built with.
+const buildHistory = { undo: [], redo: [] };
+
+/**
+ * Everything a build mutates: the current line's state, station ownership,
+ * pencil abilities and the one-build-per-card flag.
+ */
+function snapshotBuildState() {
+  const LS = ensureLineState(state.order[state.roundIndex]);
+  return {
+    segments: LS.segments.map(seg => ({ ...seg })),
+    endpoints: new Set(LS.endpoints),
+    visited: new Set(LS.visited),
+    doubled: new Set(LS.doubled),
+    owners: new Map(stationOwner),
+    pencilUsed: new Set(state.pencilUsed),
+    pencilArmed: state.pencilArmed,
+    buildUsed: state.buildUsedForThisCard,
+  };
+}
+
+function restoreBuildState(snap) {
+  const LS = ensureLineState(state.order[state.roundIndex]);
+  LS.segments = snap.segments.map(seg => ({ ...seg }));
+  LS.endpoints = new Set(snap.endpoints);
+  LS.visited = new Set(snap.visited);
+  LS.doubled = new Set(snap.doubled);
+  stationOwner.clear();
+  for (const [sid, lineId] of snap.owners) stationOwner.set(sid, lineId);
+  state.pencilUsed = new Set(snap.pencilUsed);
+  state.pencilArmed = snap.pencilArmed;
+}
+
+function recordBuild(before) {
+  buildHistory.undo.push({ before, after: snapshotBuildState(), draw: state.drawsThisRound });
+  buildHistory.redo.length = 0;
+  updateUndoUI();
+}
+
+function clearBuildHistory() {
+  buildHistory.undo.length = 0;
+  buildHistory.redo.length = 0;
+  updateUndoUI();
+}
+
+/**
+ * Undo/redo the last build. The one-build-per-card flag only changes when the
+ * section belongs to the card currently revealed; undoing an older card's
+ * section does not give that card back.
+ */
+function stepBuildHistory(direction) {
+  if (!state.undoAllowed) return;
+  const from = direction === "undo" ? buildHistory.undo : buildHistory.redo;
+  const to   = direction === "undo" ? buildHistory.redo : buildHistory.undo;
+  const entry = from.pop();
+  if (!entry) return;
+  to.push(entry);
+  logEvent({ t: direction });
+
+  restoreBuildState(direction === "undo" ? entry.before : entry.after);
+  if (entry.draw === state.drawsThisRound) {
+    state.buildUsedForThisCard = direction === "redo";
   }
 
+  clearStationSelection();
   drawSegments();
   updatePPView();
+  renderObjectives();
+  renderProjection();
+  updateSwitchUI();
+  renderPencilAbilities();
+  updateUndoUI();
+  saveGame();
+}
+
+function updateUndoUI() {
+  for (const btn of [btnUndo, btnRedo]) {
+    if (btn) btn.hidden = !state.undoAllowed;
+  }
+  if (btnUndo) btnUndo.disabled = buildHistory.undo.length === 0;
+  if (btnRedo) btnRedo.disabled = buildHistory.redo.length === 0;
 }
 
 
@@ -685,6 +1909,7 @@ function addSegment(fromId, toId) {
 function resetGameState() {
   // Stop timer and reset basic state
   stopTimer();
+  stopCardCountdown();
   state.seconds = 0;
   state.order = [];
   state.roundIndex = 0;
@@ -698,16 +1923,38 @@ function resetGameState() {
   state.heldCard = null;
   state.switchUsedThisRound = false;
   state.pencilMode = false;
+  state.pencilArmed = null;
+  state.pencilUsed.clear();
+  state.seed = "";
+  state.rngState = 0;
+  state.daily = null;
+  state.startedAt = null;
+  state.record = [];
+  state.botAssisted = false;
+  state.objectives = [];
+  renderObjectives();
+  renderProjection();
+  stopAutoplay();
+  opponent = null;
+  renderOpponent();
+  if (resultOpponent) resultOpponent.hidden = true;
+  hotseat = null;
+  renderHotseat();
+  updateHotseatControls();
+  updateOnlineControls();
+  if (resultPlayers) resultPlayers.hidden = true;
 
   // Clear per-line build state and scoring
   lineStates.clear();
   stationOwner.clear();
   roundResults.length = 0;
+  clearBuildHistory();
 
   // Reset HUD
   if (hudTime) hudTime.textContent = "0:00";
   if (hudLine) hudLine.textContent = "Current line: —";
   setCardUI(null);
+  updateSwitchUI();
   if (hudRoundScore) hudRoundScore.textContent = "0";
   if (hudTotalScore) hudTotalScore.textContent = "0";
   if (hudResultsRow) hudResultsRow.style.display = "none";
@@ -717,17 +1964,12 @@ function resetGameState() {
   if (resultJunctions) resultJunctions.textContent = "";
   updatePPView();
 
+  renderPencilAbilities();
+
   // Clear board visuals
   if (svg) {
     svg.innerHTML = "";
   }
-  // Remove any temporary pencil lines and reset pencil button state
-  if (svg) {
-    svg.querySelectorAll(".pencil-line").forEach(n => n.remove());
-  }
-  if (btnPencil) {
-    btnPencil.classList.remove("active");
-  }
   document.querySelectorAll(".station").forEach(n => n.remove());
 
   // Reset control buttons
@@ -739,43 +1981,141 @@ function resetGameState() {
   if (typeof selectedStationId !== "undefined") {
     selectedStationId = null;
   }
+  if (hudNoMove) hudNoMove.hidden = true;
+  clearRejection();
 }
 
-function startGame(name) {
+/**
+ * Start a new game. `seed` replays a shared game; `daily` ("YYYY-MM-DD") starts
+ * the daily challenge, which always uses classic rules without undo.
+ */
+function startGame(name, { seed = "", daily = null, others = [], order = null, mode = null, rules = null, timer = null } = {}) {
   state.player = name;
   hudPlayer.textContent = `Player: ${name}`;
 
   // Reset everything to a clean state before starting a new game
   resetGameState();
+  state.pencilMode = !daily && (mode || modeSelect?.value) === "pencil";
+  state.undoAllowed = !daily && (undoToggle ? undoToggle.checked : true);
+  state.daily = daily;
+  // Daily challenges are always played on the Standard rules
+  state.rules = normalizeRules(daily ? RULE_PRESETS.standard : rules || rulesFromMenu());
+  state.cardSeconds = daily ? 0 : Number(timer ?? cardTimerSelect?.value) || 0;
+  // Line order (online games get the relay's), first deck and objectives
+  engine.startGame(core, { seed: daily ? `daily-${daily}` : seed, order });
+  if (others.length) hotseat = createHotseat([name, ...others].slice(0, HOTSEAT_MAX_PLAYERS));
+  else if (opponentSelect?.value && !online) opponent = createOpponent(opponentSelect.value);
+  updateUndoUI();
+  renderSeed();
 
   // show game screen
   menu.classList.remove("active");
   game.classList.add("active");
+  fitBoard();
 
-  // init timer + line order + deck
   startTimer();
-  state.order = [...LINES.map(l => l.id)].sort(() => Math.random() - 0.5);
-  state.roundIndex = 0;
-  state.deck = buildDeck();
-  // The above resets are already done above
+  state.startedAt = new Date().toISOString();
+  logEvent({ t: "round", line: state.order[0] });
+  logEvent({ t: "held", card: state.heldCard });
 
   setCardUI(null);
+  updateSwitchUI();
+  renderPencilAbilities();
   renderRounds();
   updateHeaderLine();
 
   // render after line order is known so the start station gets highlighted
   renderStations(lastStations);
   renderRiver();
+  renderOpponent();
+  renderHotseat();
+  renderObjectives();
+  renderProjection();
+  updateBotUI();
 
   btnEnd.disabled  = true;
   btnDraw.disabled = false;
   btnSkip.disabled = false;
+  updateHotseatControls();
+  saveGame();
+}
+
+/**
+ * Restore the game saved in localStorage: map, deck, counters, timer,
+ * every line's sections and the HUD.
+ */
+async function resumeGame() {
+  const saved = loadSavedGame();
+  if (!saved) return;
+
+  if (saved.map !== currentMapId || dataErrors.length) {
+    await initData(saved.map);
+  }
+  if (saved.map !== currentMapId || dataErrors.length) {
+    const mapErrors = dataErrors;
+    const message = `The saved game needs map "${saved.map}", which is not available.`;
+    setDataReport([message, ...mapErrors], "Can't continue the saved game");
+    if (window.confirm(`${message}\n\nDiscard the saved game?`)) {
+      clearSavedGame();
+      setDataReport(mapErrors);
+    }
+    return;
+  }
+
+  resetGameState();
+  for (const key of SAVED_STATE_KEYS) state[key] = saved.state[key];
+  state.pencilUsed = new Set(saved.state.pencilUsed);
+  state.rules = normalizeRules(saved.state.rules);
+
+  restoreLineStates(lineStates, saved.lines);
+  for (const [sid, lineId] of saved.owners) stationOwner.set(sid, lineId);
+  roundResults.push(...saved.rounds);
+  if (saved.opponent) {
+    opponent = {
+      level: saved.opponent.level,
+      playedDraw: saved.opponent.playedDraw,
+      lines: new Map(),
+      owners: new Map(saved.opponent.owners),
+      rounds: saved.opponent.rounds,
+    };
+    restoreLineStates(opponent.lines, saved.opponent.lines);
+  }
+  if (saved.hotseat) restoreHotseat(saved.hotseat);
+
+  menu.classList.remove("active");
+  game.classList.add("active");
+  hudPlayer.textContent = `Player: ${state.player}`;
+  startTimer(state.seconds);
+  state.cardSeconds = state.cardSeconds || 0;
+  if (state.currentCard) startCardCountdown(state.cardTimeLeft || state.cardSeconds);
+  renderSeed();
+
+  setCardUI(state.currentCard);
+  renderRounds();
+  updateHeaderLine();
+  renderStations(lastStations);
+  renderRiver();
+  drawSegments();
+  updatePPView();
+  updateRoundEndingState();
+  updateMoveHints();
+  renderOpponent();
+  renderHotseat();
+  updateHotseatControls();
+  renderObjectives();
+  renderProjection();
+  updateBotUI();
+  updateSwitchUI();
+  renderPencilAbilities();
+  updateUndoUI();
+
+  const last = roundResults[roundResults.length - 1];
+  if (hudRoundScore) hudRoundScore.textContent = String(last ? last.FP : 0);
+  if (hudTotalScore) hudTotalScore.textContent = String(roundResults.reduce((sum, r) => sum + r.FP, 0));
 }
 
 function updateRoundEndingState() {
-  const reachedTypeLimit = state.centerCount >= 5 || state.sideCount >= 5;
-  const reachedMaxCards  = state.drawsThisRound >= 8;
-  if (reachedTypeLimit || reachedMaxCards) {
+  if (engine.isRoundOver(state)) {
     state.roundComplete = true;
     btnDraw.disabled = true;
     btnSkip.disabled = true;
@@ -791,60 +2131,86 @@ function updateRoundEndingState() {
 function drawCard() {
   // If round already complete, do not draw any more cards
   if (state.roundComplete) return;
+  // Hot-seat: every player must have played the revealed card first
+  if (hotseat && state.currentCard && !hotseat.cardDone) return;
+  // Online: the relay reveals the cards
+  if (online) return;
 
-  if (state.deck.length === 0) state.deck = buildDeck();
-  state.currentCard = state.deck.pop();
-  state.drawsThisRound++;
-  state.buildUsedForThisCard = false; // one build per card
+  if (state.deck.length === 0) state.deck = engine.buildDeck(state);
+  revealCard(state.deck.pop());
+}
 
-  // Count platform type for alternative round-ending condition
-  if (state.currentCard.ptype === "center") {
-    state.centerCount++;
-  } else if (state.currentCard.ptype === "side") {
-    state.sideCount++;
-  }
+/**
+ * Put a card in play, drawn from the local deck or dealt by the online relay.
+ */
+function revealCard(card) {
+  opponentPlayCard();
+
+  if (state.currentCard && !state.buildUsedForThisCard) logEvent({ t: "skip" });
+  engine.revealCard(core, card); // one build per card; counts toward the round end
+  startSeatCard();
+  logEvent({ t: "draw", card: state.currentCard });
+  announce(`Card ${cardName(card)}, draw ${state.drawsThisRound} of ${state.rules.roundDraws}` +
+    (state.roundComplete ? ", last card of the round" : ""));
 
   updateRoundEndingState();
+  updateHotseatControls();
+  updateOnlineControls();
   setCardUI(state.currentCard);
+  updateSwitchUI();
+  updateMoveHints();
+  startCardCountdown();
+  saveGame();
 }
 
 function finishGame() {
   stopTimer();
+  stopCardCountdown();
+  clearSavedGame();
   btnDraw.disabled = btnSkip.disabled = btnEnd.disabled = true;
   hudLine.textContent = "Game finished";
+  state.heldCard = null;
+  state.pencilArmed = null;
+  clearBuildHistory();
   setCardUI(null);
+  updateSwitchUI();
+  renderPencilAbilities();
+  clearStationSelection();
+  stopAutoplay();
 
-  // stationId -> Set<lineId>
-  const stationLines = new Map();
-  for (const [lineId, LS] of lineStates) {
-    for (const sid of LS.visited) {
-      if (!stationLines.has(sid)) stationLines.set(sid, new Set());
-      stationLines.get(sid).add(lineId);
-    }
-  }
-
-  let P2 = 0, P3 = 0, P4 = 0;
-  for (const [, lineSet] of stationLines) {
-    const count = lineSet.size;
-    if (count === 2) P2++;
-    else if (count === 3) P3++;
-    else if (count >= 4) P4++;
-  }
-
-  const PP = updatePPView();
-  const sumFP = roundResults.reduce((sum, r) => sum + r.FP, 0);
-  const finalScore = sumFP + PP + 2 * P2 + 5 * P3 + 9 * P4;
+  updatePPView();
+  renderProjection();
+  renderOverlay();
+  const { PP, P2, P3, P4, bonus, total: finalScore, objectives: objectivePoints, objectiveItems } = engine.finalScore(core);
+  lastRecordText = formatRecord(recordMeta(finalScore), state.record);
 
   if (hudTotalScore) hudTotalScore.textContent = String(finalScore);
 
-  // Persist result to localStorage and refresh scoreboard
+  // Persist result to localStorage and refresh scoreboard (one entry per hot-seat player)
+  const standings = hotseat ? hotseatStandings() : null;
+  const summary = standings
+    ? `Winner: ${standings.filter(row => row.finalScore === standings[0].finalScore).map(row => row.name).join(" & ")} — ${standings[0].finalScore} points`
+    : `Final score: ${finalScore}`;
+  announce(`Game over. ${summary}`);
+  const players = standings
+    ? standings.map(row => ({ name: row.name, score: row.finalScore }))
+    : [{ name: state.player || "Player", score: finalScore }];
   const scores = loadScores();
-  scores.push({
-    name: state.player || "Player",
-    score: finalScore,
+  scores.push(...players.map(({ name, score }) => ({
+    name,
+    score,
     seconds: state.seconds,
+    map: currentMapId,
+    mode: state.pencilMode ? "pencil" : "classic",
+    ranked: !state.undoAllowed && !state.botAssisted,
+    assisted: state.botAssisted,
+    hotseat: !!hotseat,
+    seed: state.seed,
+    daily: state.daily,
+    rules: rulesKey(state.rules),
+    timed: state.cardSeconds || 0,
     date: new Date().toISOString(),
-  });
+  })));
   // sort by score desc, then time asc
   scores.sort((a, b) => {
     if (b.score !== a.score) return b.score - a.score;
@@ -852,13 +2218,20 @@ function finishGame() {
   });
   saveScores(scores);
   renderScores();
+  sendOnlineResult({
+    rounds: [...roundResults],
+    PP, P2, P3, P4,
+    junctions: bonus - PP,
+    objectives: objectivePoints,
+    finalScore,
+  });
 
     // Show results in the HUD
     if (hudResultsRow) {
         hudResultsRow.style.display = "block";
 
         if (resultSummary) {
-            resultSummary.textContent = `Final score: ${finalScore}`;
+            resultSummary.textContent = summary;
         }
 
       if (resultExplanation) {
@@ -881,179 +2254,1769 @@ function finishGame() {
             resultJunctions.textContent =
                 `Train stations (PP): ${PP} — Junctions P2=${P2}, P3=${P3}, P4=${P4}`;
         }
+
+      if (resultObjectives) {
+        resultObjectives.textContent = "Objectives: " + (objectiveItems.map(it =>
+          `${it.objective.title} ${it.done ? `✓ +${it.objective.points}` : `✗ (${it.value}/${it.target})`}`
+        ).join(", ") || "none");
+      }
+
+      if (standings) renderStandings(standings);
+
+      if (resultOpponent && opponent) {
+        const theirs = opponentFinalScore();
+        const verdict = finalScore > theirs ? "you win" : finalScore < theirs ? "the computer wins" : "a draw";
+        resultOpponent.textContent = `Computer (${BOT_LEVELS[opponent.level].label}): ${theirs} — ${verdict}`;
+        resultOpponent.hidden = false;
+      }
     }
 }
 
 function nextRound() {
+  // a last card left unused is a skip too, as when revealCard() replaces one
+  if (state.currentCard && !state.buildUsedForThisCard) logEvent({ t: "skip" });
+
   // score the line we just completed
-  computeCurrentRoundScore();
+  opponentEndRound();
+  const result = computeCurrentRoundScore();
+  logEvent({ t: "end", fp: result.FP });
+  announce(`${lineName(result.lineId)} scored ${result.FP} FP: PK ${result.PK} × PM ${result.PM} + PD ${result.PD}`);
+  if (hotseat) {
+    const active = hotseat.turn;
+    forEachSeat((seat, i) => {
+      if (i !== active) computeCurrentRoundScore();
+    });
+    renderHotseat();
+  }
 
-  state.roundIndex++;
-  if (state.roundIndex >= state.order.length) {
+  // New deck, counters and pencil abilities for the next line
+  if (!engine.advanceRound(core)) {
     finishGame();
     return;
   }
 
-  state.deck = buildDeck();
-  state.drawsThisRound = 0;
-  state.centerCount = 0;
-  state.sideCount = 0;
-  state.currentCard = null;
-  state.buildUsedForThisCard = false;
-  state.roundComplete = false;
-  state.switchUsedThisRound = false;
-  state.heldCard = null;
+  stopCardCountdown();
+  logEvent({ t: "round", line: state.order[state.roundIndex] });
+  logEvent({ t: "held", card: state.heldCard });
+  announce(`Next line ${currentLine().name}, starting at station ${currentLine().start}`);
+  state.pencilArmed = null;
+  resetSeatsForRound();
+  clearBuildHistory();      // undo never reaches into a finished line
 
   setCardUI(null);
+  updateSwitchUI();
+  renderPencilAbilities();
   renderRounds();
   updateHeaderLine();
 
   // new start marker
   renderStations(lastStations);
   renderRiver();
+  updateMoveHints();
+  renderProjection();
+  renderOverlay();
 
   btnEnd.disabled  = true;
   btnDraw.disabled = false;
   btnSkip.disabled = false;
+  updateHotseatControls();
+  saveGame();
 }
 
-// Switch card ability: allows redrawing the current card once per round
+// Switch card, see switchCard() in engine.js (swapping the Nth card of a type can close or reopen the round)
 function switchCard() {
-  // Can only switch if we currently have a card, haven't built with it yet,
-  // and haven't used the switch in this round.
-  if (!state.currentCard) return;
-  if (state.buildUsedForThisCard) return;
-  if (state.switchUsedThisRound) return;
-
-  // If deck is empty, rebuild it (same behavior as drawCard).
-  if (state.deck.length === 0) state.deck = buildDeck();
-
-  // Discard the current card and draw a replacement.
-  state.currentCard = state.deck.pop();
-  state.switchUsedThisRound = true;
+  if (hotseat || online) return;
+  // Only with an unused card in play, and once per round
+  if (!engine.switchCard(core)) return;
+  logEvent({ t: "switch" });
+  announce(`Switched to ${cardName(state.currentCard)}`);
 
-  // Note: we deliberately do NOT change drawsThisRound or the center/side counters
-  // here, so the switch acts as a "redraw" of the same draw rather than an extra draw.
   setCardUI(state.currentCard);
   updateRoundEndingState();
+  updateSwitchUI();
+  updateMoveHints();
+  saveGame();
 }
 
 
 /* ────────────────────────────────────────────────────────────────────────────
-  10) EVENT WIRING
+  10) GAME RECORD & REPLAY
 ──────────────────────────────────────────────────────────────────────────── */
-// Menu form submit
-document.querySelector("#menu-form").addEventListener("submit", (e) => {
-  e.preventDefault();
-  const input = document.querySelector("#player-name");
-  const name = input.value.trim();
-  if (!name) {
-    input.focus();
-    input.style.borderColor = "#ef4444";
-    setTimeout(() => (input.style.borderColor = "#2a365c"), 600);
-    return;
-  }
-  startGame(name);
-});
+/*
+  Record notation: quoted headers, then one line per round:
+
+    [Map "budapest"]
+    [Seed "k3j9a1"]
+    [Order "2 0 3 1"]
+    1. M3 h:Jc +Ac 3-8 +Ds ~ +Bc S 8-12!w / 9
+
+  h:Xp   held (switch) card dealt        +Xp   card drawn (X = A/B/C/D/J, p = c/s)
+  ~      previous card skipped           S     switch used
+  a-b    section built (!b !t !d !w = pencil ability spent)
+  < >    undo / redo                     /n    round ended with FP n
+*/
+const ABILITY_CODES = { branch: "b", through: "t", duplicate: "d", wild: "w" };
+
+const replay = {
+  active: false,
+  meta: null,     // parsed headers
+  events: [],
+  stops: [],      // event counts the viewer can stop at (round/held markers merge into the next step)
+  pos: 0,         // index into stops
+  timer: null,
+};
+let lastRecordText = ""; // record of the last finished game (results panel export)
 
-// Window resize: keep visuals in sync while game visible
-window.addEventListener("resize", () => {
-  if (!game.classList.contains("active")) return;
-  renderStations(lastStations);
-  drawSegments();
-  renderRiver();
-});
+function logEvent(ev) {
+  if (replay.active) return;
+  // hot-seat records follow the first player's sheet
+  if (hotseat && hotseat.turn !== 0 && ["build", "undo", "redo"].includes(ev.t)) return;
+  state.record.push(ev);
+}
 
-// Rules modal
-btnRules.addEventListener("click", openRules);
-btnRulesClose.addEventListener("click", closeRules);
-rulesModal.addEventListener("click", (e) => {
-  if (e.target.classList.contains("modal-backdrop")) closeRules();
-});
-window.addEventListener("keydown", (e) => {
-  if (e.key === "Escape" && rulesModal.classList.contains("show")) closeRules();
-});
+function cardCode(card) {
+  return (card.sym === "Joker" ? "J" : card.sym) + card.ptype[0];
+}
 
-// Build interaction: click origin -> click target
-let selectedStationId = null;
-document.addEventListener("click", (e) => {
-  if (!game.classList.contains("active")) return;
-  const node = e.target.closest(".station");
-  if (!node) return;
+function parseCardCode(code) {
+  return { sym: code[0] === "J" ? "Joker" : code[0], ptype: code[1] === "c" ? "center" : "side" };
+}
 
-  const id = +node.dataset.id;
-  const lineId = state.order[state.roundIndex];
-  const LS = ensureLineState(lineId);
-  const isPencil = state.pencilMode;
+function recordMeta(result = null) {
+  return {
+    Map: currentMapId,
+    Seed: state.seed,
+    Player: state.player,
+    Mode: state.pencilMode ? "pencil" : "classic",
+    Daily: state.daily,
+    Rules: rulesKey(state.rules),
+    Timer: state.cardSeconds || null,
+    Date: state.startedAt,
+    Order: state.order.join(" "),
+    Result: result,
+  };
+}
 
-  // origin must be start (first) or one of the endpoints
-  if (selectedStationId === null) {
-    const isFirst = LS.segments.length === 0;
-    const okOrigin = isFirst ? (id === currentLine().start) : LS.endpoints.has(id);
-    if (!okOrigin) return;
-    selectedStationId = id;
-    node.classList.add("selected");
-    return;
+function formatRecord(meta, events) {
+  const headers = Object.entries(meta)
+    .filter(([, v]) => v !== null && v !== undefined && v !== "")
+    .map(([k, v]) => `[${k} ${JSON.stringify(String(v))}]`);
+
+  const rows = [];
+  let row = null;
+  let round = 0;
+  for (const ev of events) {
+    if (ev.t === "round") {
+      if (row) rows.push(row.join(" "));
+      const line = LINES.find(l => l.id === ev.line);
+      row = [`${++round}.`, line ? line.name : `#${ev.line}`];
+      continue;
+    }
+    if (!row) row = [];
+    switch (ev.t) {
+      case "held":   row.push(`h:${cardCode(ev.card)}`); break;
+      case "draw":   row.push(`+${cardCode(ev.card)}`); break;
+      case "skip":   row.push("~"); break;
+      case "switch": row.push("S"); break;
+      case "undo":   row.push("<"); break;
+      case "redo":   row.push(">"); break;
+      case "end":    row.push(`/${ev.fp}`); break;
+      case "build":
+        row.push(`${ev.a}-${ev.b}${ev.ability ? `!${ABILITY_CODES[ev.ability]}` : ""}`);
+        break;
+    }
   }
+  if (row) rows.push(row.join(" "));
+  return `${headers.join("\n")}\n\n${rows.join("\n")}\n`;
+}
 
-  // attempt connection
-  const fromId = selectedStationId;
-  const toId = id;
-
-  const prevSel = document.querySelector(".station.selected");
-  if (prevSel) prevSel.classList.remove("selected");
-  selectedStationId = null;
-
-  // In pencil mode we draw a temporary planning segment that does not affect game state.
-  if (isPencil) {
-    if (fromId === toId) return;
-
-    const A = stationById.get(fromId);
-    const B = stationById.get(toId);
-    if (!A || !B) return;
-
-    const [x1, y1] = toSvgPoint(A);
-    const [x2, y2] = toSvgPoint(B);
-
-    const pencilLine = document.createElementNS("http://www.w3.org/2000/svg", "line");
-    pencilLine.setAttribute("x1", x1);
-    pencilLine.setAttribute("y1", y1);
-    pencilLine.setAttribute("x2", x2);
-    pencilLine.setAttribute("y2", y2);
-    pencilLine.setAttribute("stroke-width", "6");
-    pencilLine.setAttribute("stroke-linecap", "round");
-    pencilLine.setAttribute("stroke-dasharray", "6 6");
-    pencilLine.setAttribute("class", "pencil-line");
-    // Use a neutral gray for planning lines so they are visually distinct.
-    pencilLine.setAttribute("stroke", "#9ca3af");
-
-    svg.appendChild(pencilLine);
-    return;
+// The [Name "value"] headers of record text and its move lines
+function splitRecord(text) {
+  const meta = {};
+  const body = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    const header = line.match(/^\[(\w+)\s+("(?:[^"\\]|\\.)*")\]$/);
+    if (header) meta[header[1]] = JSON.parse(header[2]);
+    else if (line) body.push(line);
   }
+  return { meta, body };
+}
 
-  // Real build mode: must draw a card first and only one build per card
-  if (!state.currentCard) return;
-  if (state.buildUsedForThisCard) return;
+/**
+ * Parse record text into { meta, events }, checking its lines and stations
+ * against the loaded map. Throws an Error naming the bad token.
+ */
+function parseRecord(text) {
+  const { meta, body } = splitRecord(text);
+  if (!meta.Order) throw new Error("missing [Order] header");
+  const order = meta.Order.split(/\s+/).map(Number);
+  const unknownLine = order.find(id => !LINES.some(l => l.id === id));
+  if (unknownLine !== undefined) throw new Error(`line ${unknownLine} in [Order] is not on this map`);
+
+  const events = [];
+  const abilities = Object.fromEntries(Object.entries(ABILITY_CODES).map(([k, v]) => [v, k]));
+  let round = 0;
+  for (const line of body) {
+    const tokens = line.split(/\s+/);
+    for (let i = 0; i < tokens.length; i++) {
+      const tok = tokens[i];
+      let m;
+      if ((m = tok.match(/^(\d+)\.$/))) {
+        round = Number(m[1]);
+        if (order[round - 1] === undefined) throw new Error(`round ${round} is not in [Order]`);
+        events.push({ t: "round", line: order[round - 1] });
+        i++; // line name, informational
+      } else if ((m = tok.match(/^h:([ABCDJ][cs])$/))) {
+        events.push({ t: "held", card: parseCardCode(m[1]) });
+      } else if ((m = tok.match(/^\+([ABCDJ][cs])$/))) {
+        events.push({ t: "draw", card: parseCardCode(m[1]) });
+      } else if ((m = tok.match(/^(\d+)-(\d+)(?:!([btdw]))?$/))) {
+        const unknownStation = [m[1], m[2]].find(id => !stationById.has(Number(id)));
+        if (unknownStation !== undefined) throw new Error(`station ${unknownStation} in round ${round} is not on this map`);
+        events.push({ t: "build", a: Number(m[1]), b: Number(m[2]), ability: m[3] ? abilities[m[3]] : null });
+      } else if ((m = tok.match(/^\/(\d+)$/))) {
+        events.push({ t: "end", fp: Number(m[1]) });
+      } else if (tok === "~" || tok === "S" || tok === "<" || tok === ">") {
+        events.push({ t: { "~": "skip", S: "switch", "<": "undo", ">": "redo" }[tok] });
+      } else {
+        throw new Error(`unknown token "${tok}" in round ${round}`);
+      }
+    }
+  }
+  if (!events.length || events[0].t !== "round") throw new Error("the record has no rounds");
+  return { meta, events };
+}
 
-  if (canConnect(fromId, toId)) {
-    addSegment(fromId, toId);
-    state.buildUsedForThisCard = true;
+/**
+ * Re-run one recorded event on the live game state. Builds are checked
+ * against the rules before going through addSegment(); an illegal one throws.
+ */
+function applyRecordEvent(ev) {
+  switch (ev.t) {
+    case "round":
+      state.roundIndex = state.order.indexOf(ev.line);
+      state.drawsThisRound = 0;
+      state.centerCount = 0;
+      state.sideCount = 0;
+      state.currentCard = null;
+      state.buildUsedForThisCard = false;
+      state.switchUsedThisRound = false;
+      state.pencilArmed = null;
+      state.pencilUsed.clear();
+      clearBuildHistory();
+      break;
+    case "held":
+      state.heldCard = ev.card;
+      break;
+    case "draw":
+      engine.revealCard(core, ev.card);
+      break;
+    case "switch":
+      engine.switchCard(core);
+      break;
+    case "build": {
+      state.pencilArmed = ev.ability;
+      const problem = connectionProblem(ev.a, ev.b);
+      if (problem) throw new Error(`section ${ev.a}-${ev.b} in round ${state.roundIndex + 1}: ${problem.message}`);
+      addSegment(ev.a, ev.b);
+      break;
+    }
+    case "undo":
+    case "redo":
+      stepBuildHistory(ev.t);
+      break;
+    case "end":
+      computeCurrentRoundScore();
+      break;
+  }
+}
 
-    // if this was the 8th card (round complete), move to the next round automatically
+// Rebuild the game state from scratch with the first `upto` recorded events
+function replayEvents(upto) {
+  lineStates.clear();
+  stationOwner.clear();
+  roundResults.length = 0;
+  state.order = replay.meta.Order.split(/\s+/).map(Number);
+  state.pencilMode = replay.meta.Mode === "pencil";
+  state.undoAllowed = true;
+  state.heldCard = null;
+  applyRecordEvent(replay.events[0]);
+  for (let i = 1; i < upto; i++) applyRecordEvent(replay.events[i]);
+}
+
+/**
+ * Rebuild the board from scratch up to replay.stops[pos] and redraw it.
+ */
+function showReplayStep(pos) {
+  replay.pos = Math.max(0, Math.min(pos, replay.stops.length - 1));
+  replayEvents(replay.stops[replay.pos]);
+
+  setCardUI(state.currentCard);
+  setHeldCardUI();
+  renderRounds();
+  updateHeaderLine();
+  renderStations(lastStations);
+  drawSegments();
+  updatePPView();
+  renderProjection();
+
+  const last = roundResults[roundResults.length - 1];
+  if (hudRoundScore) hudRoundScore.textContent = String(last ? last.FP : 0);
+  if (hudTotalScore) hudTotalScore.textContent = String(roundResults.reduce((sum, r) => sum + r.FP, 0));
+
+  const atEnd = replay.pos === replay.stops.length - 1;
+  replayStepLabel.textContent = `Step ${replay.pos} / ${replay.stops.length - 1}` +
+    (atEnd && replay.meta.Result ? ` — final score ${replay.meta.Result}` : "");
+  btnReplayPrev.disabled = replay.pos === 0;
+  btnReplayNext.disabled = atEnd;
+  if (atEnd) stopReplayAutoplay();
+}
+
+async function startReplay(text) {
+  let mapId;
+  try {
+    mapId = splitRecord(text).meta.Map || DEFAULT_MAP_ID;
+  } catch (e) {
+    replayError.textContent = `Can't read this record: ${e.message}`;
+    return;
+  }
+  if (mapId !== currentMapId || dataErrors.length) await initData(mapId);
+  if (mapId !== currentMapId || dataErrors.length) {
+    replayError.textContent = `This record needs map "${mapId}", which is not available.`;
+    return;
+  }
+  let parsed;
+  try {
+    parsed = parseRecord(text);
+  } catch (e) {
+    replayError.textContent = `Can't read this record: ${e.message}`;
+    return;
+  }
+
+  resetGameState();
+  replay.active = true;
+  replay.meta = parsed.meta;
+  state.rules = parseRulesKey(parsed.meta.Rules) || normalizeRules(RULE_PRESETS.standard);
+  replay.events = parsed.events;
+  replay.stops = [1];
+  parsed.events.forEach((ev, i) => {
+    if (i > 0 && ev.t !== "round" && ev.t !== "held") replay.stops.push(i + 1);
+  });
+
+  // Play the whole record once so an illegal build is reported here, not mid-replay
+  try {
+    replayEvents(parsed.events.length);
+  } catch (e) {
+    replay.active = false;
+    replay.events = [];
+    replay.stops = [];
+    resetGameState();
+    replayError.textContent = `Can't replay this record: ${e.message}`;
+    return;
+  }
+  replayError.textContent = "";
+  closeModal(replayModal);
+
+  menu.classList.remove("active");
+  game.classList.add("active");
+  gameControls.hidden = true;
+  replayControls.hidden = false;
+  if (hudPencil) hudPencil.hidden = true;
+  hudPlayer.textContent = `Replay: ${parsed.meta.Player || "Player"}`;
+  hudTime.textContent = "—";
+  if (hudSeed) hudSeed.textContent = parsed.meta.Seed || "—";
+  renderRiver();
+  showReplayStep(0);
+}
+
+function stopReplayAutoplay() {
+  if (replay.timer) {
+    clearInterval(replay.timer);
+    replay.timer = null;
+  }
+  if (btnReplayPlay) btnReplayPlay.textContent = "Play";
+}
+
+function toggleReplayAutoplay() {
+  if (replay.timer) {
+    stopReplayAutoplay();
+    return;
+  }
+  if (replay.pos === replay.stops.length - 1) showReplayStep(0);
+  btnReplayPlay.textContent = "Pause";
+  replay.timer = setInterval(() => showReplayStep(replay.pos + 1), 700);
+}
+
+function exitReplay() {
+  stopReplayAutoplay();
+  replay.active = false;
+  replay.events = [];
+  replay.stops = [];
+  gameControls.hidden = false;
+  replayControls.hidden = true;
+  resetGameState();
+  showMenu();
+}
+
+function downloadRecord() {
+  if (!lastRecordText) return;
+  downloadBlob(new Blob([lastRecordText], { type: "text/plain" }), `budapest-metro-${state.seed || "game"}.txt`);
+}
+
+async function copyRecord() {
+  if (!lastRecordText) return;
+  try {
+    await navigator.clipboard.writeText(lastRecordText);
+    btnRecordCopy.textContent = "Copied!";
+    setTimeout(() => (btnRecordCopy.textContent = "Copy game record"), 1500);
+  } catch (e) {
+    console.warn("Failed to copy game record", e);
+  }
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+  11) COMPUTER PLAYER
+──────────────────────────────────────────────────────────────────────────── */
+const BOT_LEVELS = {
+  greedy:    { label: "Greedy",    lookahead: false },
+  lookahead: { label: "Lookahead", lookahead: true },
+};
+const BOT_CARD_SYMBOLS = ["A", "B", "C", "D", "Joker"]; // equally common in every deck
+const BOT_AUTOPLAY_MS = 400;
+
+// Computer opponent: its own sheet, built on the player's cards.
+// { level, lines: Map<lineId, lineState>, owners: Map<stationId, lineId>, rounds: [], playedDraw }
+let opponent = null;
+let autoplayTimer = null;
+
+// What the bot maximizes: the current line's FP plus the network bonus (PP + junctions)
+// and completed objectives
+function botBoardValue() {
+  return scoreLine(ensureLineState(state.order[state.roundIndex])).FP +
+    networkScore().bonus + objectiveScore().points;
+}
+
+// Value of the board after trying a section, which is then rolled back
+function valueAfter(fromId, toId, rate) {
+  const before = snapshotBuildState();
+  applySection(fromId, toId);
+  const value = rate();
+  restoreBuildState(before);
+  return value;
+}
+
+// Average best gain of the next card over the possible symbols
+function expectedNextGain() {
+  const { currentCard, buildUsedForThisCard } = state;
+  const base = botBoardValue();
+  let total = 0;
+  for (const sym of BOT_CARD_SYMBOLS) {
+    state.currentCard = { sym, ptype: "center" };
+    state.buildUsedForThisCard = false;
+    let best = 0;
+    for (const [fromId, targets] of legalMoves(null)) {
+      for (const toId of targets) best = Math.max(best, valueAfter(fromId, toId, botBoardValue) - base);
+    }
+    total += best;
+  }
+  state.currentCard = currentCard;
+  state.buildUsedForThisCard = buildUsedForThisCard;
+  return total / BOT_CARD_SYMBOLS.length;
+}
+
+/**
+ * Choose a section for the revealed card on the board loaded in lineStates /
+ * stationOwner: { from, to }, or null to leave the card unused. Only the
+ * classic rules are used (no pencil abilities, no switch).
+ * Greedy takes the best immediate value; lookahead adds the expected gain of
+ * the next card when the round has one, and skips when nothing beats that.
+ */
+function chooseBotMove(level) {
+  const lookahead = BOT_LEVELS[level]?.lookahead && !state.roundComplete;
+  const rate = lookahead ? () => botBoardValue() + expectedNextGain() : botBoardValue;
+
+  let best = null;
+  let bestValue = lookahead ? rate() : -Infinity;
+  for (const [fromId, targets] of legalMoves(null)) {
+    for (const toId of targets) {
+      const value = valueAfter(fromId, toId, rate);
+      if (value > bestValue) {
+        best = { from: fromId, to: toId };
+        bestValue = value;
+      }
+    }
+  }
+  return best;
+}
+
+/* Auto-play for the player ────────────────────────────────────────────────── */
+function botLevel() {
+  return botLevelSelect?.value || "greedy";
+}
+
+function gameInProgress() {
+  return state.order.length > 0 && state.roundIndex < state.order.length;
+}
+
+/**
+ * Play one card for the player: the revealed card if the bot wants it,
+ * otherwise the next one (or end the round). Builds the bot's section, if any,
+ * and closes the round when it is over.
+ */
+function botTurn() {
+  if (!gameInProgress() || state.daily || hotseat || online) return;
+  state.botAssisted = true;
+  clearStationSelection();
+  state.pencilArmed = null;
+  renderPencilAbilities();
+
+  let move = state.currentCard ? chooseBotMove(botLevel()) : null;
+  if (!move) {
     if (state.roundComplete) {
       nextRound();
+      return;
     }
+    drawCard();
+    move = chooseBotMove(botLevel());
+  }
+  if (move) {
+    addSegment(move.from, move.to);
+    updateSwitchUI();
+  }
+  if (state.roundComplete) nextRound();
+  else saveGame();
+}
+
+function toggleAutoplay() {
+  if (autoplayTimer) {
+    stopAutoplay();
+    return;
+  }
+  autoplayTimer = setInterval(() => {
+    botTurn();
+    if (!gameInProgress()) stopAutoplay();
+  }, BOT_AUTOPLAY_MS);
+  updateBotUI();
+}
+
+function stopAutoplay() {
+  clearInterval(autoplayTimer);
+  autoplayTimer = null;
+  updateBotUI();
+}
+
+// Bot buttons: not offered in the daily challenge
+function updateBotUI() {
+  for (const btn of [btnBotTurn, btnBotGame]) {
+    if (btn) btn.hidden = !!state.daily || !!hotseat || !!online;
+  }
+  if (btnBotTurn) btnBotTurn.disabled = !gameInProgress() || !!autoplayTimer;
+  if (btnBotGame) {
+    btnBotGame.disabled = !gameInProgress();
+    btnBotGame.textContent = autoplayTimer ? "Stop auto-play" : "Auto-play";
+  }
+}
+
+/* Computer opponent ──────────────────────────────────────────────────────── */
+function createOpponent(level) {
+  return { level, lines: new Map(), owners: new Map(), rounds: [], playedDraw: 0 };
+}
+
+// Run fn with the opponent's sheet swapped into lineStates / stationOwner
+function onOpponentBoard(fn) {
+  const mine = { lines: new Map(lineStates), owners: new Map(stationOwner) };
+  loadBoard(opponent.lines, opponent.owners);
+  try {
+    return fn();
+  } finally {
+    opponent.lines = new Map(lineStates);
+    opponent.owners = new Map(stationOwner);
+    loadBoard(mine.lines, mine.owners);
+  }
+}
+
+function loadBoard(lines, owners) {
+  lineStates.clear();
+  for (const [lineId, LS] of lines) lineStates.set(lineId, LS);
+  stationOwner.clear();
+  for (const [sid, lineId] of owners) stationOwner.set(sid, lineId);
+}
+
+/**
+ * The opponent builds with the revealed card once the player is done with it
+ * (next draw or end of round), so it never sees a card before the player.
+ */
+function opponentPlayCard() {
+  if (!opponent || !state.currentCard || opponent.playedDraw === state.drawsThisRound) return;
+  opponent.playedDraw = state.drawsThisRound;
+
+  const used = state.buildUsedForThisCard;
+  state.buildUsedForThisCard = false;
+  onOpponentBoard(() => {
+    const move = chooseBotMove(opponent.level);
+    if (move) applySection(move.from, move.to);
+  });
+  state.buildUsedForThisCard = used;
+  renderOpponent();
+}
+
+function opponentEndRound() {
+  if (!opponent) return;
+  opponentPlayCard();
+  const lineId = state.order[state.roundIndex];
+  opponent.rounds.push({ lineId, ...onOpponentBoard(() => scoreLine(ensureLineState(lineId))) });
+  opponent.playedDraw = 0;
+  renderOpponent();
+}
+
+function opponentFinalScore() {
+  const sumFP = opponent.rounds.reduce((sum, r) => sum + r.FP, 0);
+  return sumFP + onOpponentBoard(() => networkScore().bonus + objectiveScore().points);
+}
+
+// Mini map of the opponent's network and its FP so far
+function renderOpponent() {
+  if (!hudOpponent) return;
+  hudOpponent.hidden = !opponent;
+  if (!opponent) return;
+
+  if (opponentName) opponentName.textContent = `Computer (${BOT_LEVELS[opponent.level].label})`;
+  if (opponentScore) opponentScore.textContent = String(opponent.rounds.reduce((sum, r) => sum + r.FP, 0));
+  if (!opponentBoard) return;
+
+  const ns = "http://www.w3.org/2000/svg";
+  opponentBoard.setAttribute("viewBox", `0 0 ${gridDims.cols * SVG_CELL} ${gridDims.rows * SVG_CELL}`);
+  opponentBoard.innerHTML = "";
+  for (const st of lastStations) {
+    const [cx, cy] = toSvgPoint(st);
+    const dot = document.createElementNS(ns, "circle");
+    dot.setAttribute("cx", cx);
+    dot.setAttribute("cy", cy);
+    dot.setAttribute("r", SVG_CELL * 0.14);
+    dot.setAttribute("class", "opponent-station");
+    opponentBoard.appendChild(dot);
+  }
+  for (const [lineId, LS] of opponent.lines) {
+    const line = LINES.find(l => l.id === lineId);
+    for (const seg of LS.segments) {
+      const [x1, y1] = toSvgPoint(stationById.get(seg.a));
+      const [x2, y2] = toSvgPoint(stationById.get(seg.b));
+      const el = document.createElementNS(ns, "line");
+      el.setAttribute("x1", x1);
+      el.setAttribute("y1", y1);
+      el.setAttribute("x2", x2);
+      el.setAttribute("y2", y2);
+      el.setAttribute("stroke", line.color);
+      el.setAttribute("stroke-width", "16");
+      el.setAttribute("stroke-linecap", "round");
+      opponentBoard.appendChild(el);
+    }
+  }
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+  12) HOT-SEAT MULTIPLAYER
+──────────────────────────────────────────────────────────────────────────── */
+/*
+  2–4 players share the deck and line order; every revealed card is played by
+  each player in seat order on their own sheet. The seat whose turn it is has
+  its sheet loaded into lineStates / stationOwner / roundResults (and its pencil
+  abilities into state), so all rules and rendering work unchanged; the other
+  sheets wait in hotseat.seats.
+*/
+const HOTSEAT_MAX_PLAYERS = 4;
+
+// null in single-player games
+// { seats: [{ name, lines, owners, rounds, pencilUsed, pencilArmed, built }], turn, cardDone }
+let hotseat = null;
+
+function createHotseat(names) {
+  return {
+    seats: names.map(name => ({
+      name,
+      lines: new Map(),
+      owners: new Map(),
+      rounds: [],
+      pencilUsed: new Set(),
+      pencilArmed: null,
+      built: false,
+    })),
+    turn: 0,
+    cardDone: false, // every seat has played the revealed card
+  };
+}
+
+// Copy the active sheet out of the globals into its seat
+function storeSeat() {
+  const seat = hotseat.seats[hotseat.turn];
+  seat.lines = new Map(lineStates);
+  seat.owners = new Map(stationOwner);
+  seat.rounds = [...roundResults];
+  seat.pencilUsed = new Set(state.pencilUsed);
+  seat.pencilArmed = state.pencilArmed;
+  seat.built = state.buildUsedForThisCard;
+}
+
+// Load a seat's sheet into the globals (data only, see showSeat())
+function loadSeat(index) {
+  const seat = hotseat.seats[index];
+  hotseat.turn = index;
+  loadBoard(seat.lines, seat.owners);
+  roundResults.length = 0;
+  roundResults.push(...seat.rounds);
+  state.pencilUsed = new Set(seat.pencilUsed);
+  state.pencilArmed = seat.pencilArmed;
+  state.buildUsedForThisCard = seat.built;
+}
+
+/**
+ * Run fn(seat, index) with each seat's sheet loaded in turn; the active seat
+ * is loaded again afterwards. Returns the results of fn.
+ */
+function forEachSeat(fn) {
+  const active = hotseat.turn;
+  storeSeat();
+  const results = hotseat.seats.map((seat, i) => {
+    loadSeat(i);
+    const result = fn(seat, i);
+    storeSeat();
+    return result;
+  });
+  loadSeat(active);
+  return results;
+}
+
+// Redraw everything that shows the active sheet
+function showSeat() {
+  clearBuildHistory(); // undo never reaches into another player's turn
+  clearStationSelection();
+  drawSegments();
+  updatePPView();
+  renderObjectives();
+  renderProjection();
+  renderPencilAbilities();
+  updateSwitchUI();
+  const last = roundResults[roundResults.length - 1];
+  if (hudRoundScore) hudRoundScore.textContent = String(last ? last.FP : 0);
+  if (hudTotalScore) hudTotalScore.textContent = String(roundResults.reduce((sum, r) => sum + r.FP, 0));
+  renderHotseat();
+  updateMoveHints();
+}
+
+/**
+ * The active player is done with the revealed card: pass it to the next seat,
+ * or, after the last seat, back to the first one and unlock the next draw.
+ */
+function endSeatTurn() {
+  if (!hotseat || hotseat.cardDone || !state.currentCard) return;
+  storeSeat();
+  const next = hotseat.turn + 1;
+  if (next < hotseat.seats.length) {
+    loadSeat(next);
+    startCardCountdown();
   } else {
-    // tiny feedback on invalid move
-    cardEl?.animate(
-      [
-        { transform: "translateY(0)" },
-        { transform: "translateY(-4px)" },
-        { transform: "translateY(0)" }
-      ],
-      { duration: 300 }
-    );
+    loadSeat(0);
+    hotseat.cardDone = true;
+  }
+  showSeat();
+  updateHotseatControls();
+  saveGame();
+}
+
+// A new card goes to the first seat; nobody has built with it yet
+function startSeatCard() {
+  if (!hotseat) return;
+  for (const seat of hotseat.seats) seat.built = false;
+  if (hotseat.turn !== 0) {
+    storeSeat();
+    loadSeat(0);
+    showSeat();
+  }
+  hotseat.cardDone = false;
+}
+
+// New round: every seat gets fresh pencil abilities
+function resetSeatsForRound() {
+  if (!hotseat) return;
+  for (const seat of hotseat.seats) {
+    seat.pencilUsed = new Set();
+    seat.pencilArmed = null;
+    seat.built = false;
   }
+  hotseat.cardDone = false;
+}
+
+/**
+ * While seats are still playing the revealed card, only "Next player" moves
+ * the game on; afterwards the usual draw / end-round buttons apply.
+ */
+function updateHotseatControls() {
+  if (btnNextPlayer) btnNextPlayer.hidden = !hotseat;
+  if (!hotseat) return;
+  const pending = !!state.currentCard && !hotseat.cardDone && gameInProgress();
+  btnNextPlayer.disabled = !pending;
+  btnNextPlayer.textContent = hotseat.turn === hotseat.seats.length - 1 ? "Finish card ✓" : "Next player ▶";
+  if (pending) {
+    btnDraw.disabled = btnSkip.disabled = btnEnd.disabled = true;
+  } else if (gameInProgress()) {
+    updateRoundEndingState();
+  }
+}
+
+// Seat chips: name and FP so far, the active seat highlighted
+function renderHotseat() {
+  if (!hudPlayers) return;
+  hudPlayers.hidden = !hotseat;
+  hudPlayers.innerHTML = "";
+  if (!hotseat) return;
+
+  hudPlayer.textContent = `Player: ${hotseat.seats[hotseat.turn].name}`;
+  hotseat.seats.forEach((seat, i) => {
+    const rounds = i === hotseat.turn ? roundResults : seat.rounds;
+    const chip = document.createElement("span");
+    chip.className = "seat-chip" + (i === hotseat.turn ? " active" : "");
+    chip.textContent = `${seat.name}: ${rounds.reduce((sum, r) => sum + r.FP, 0)}`;
+    hudPlayers.appendChild(chip);
+  });
+}
+
+function serializeHotseat() {
+  storeSeat();
+  return {
+    turn: hotseat.turn,
+    cardDone: hotseat.cardDone,
+    seats: hotseat.seats.map(seat => ({
+      name: seat.name,
+      lines: serializeLineStates(seat.lines),
+      owners: [...seat.owners],
+      rounds: seat.rounds,
+      pencilUsed: [...seat.pencilUsed],
+      pencilArmed: seat.pencilArmed,
+      built: seat.built,
+    })),
+  };
+}
+
+function restoreHotseat(saved) {
+  hotseat = createHotseat(saved.seats.map(seat => seat.name));
+  hotseat.turn = saved.turn;
+  hotseat.cardDone = saved.cardDone;
+  saved.seats.forEach((s, i) => {
+    const seat = hotseat.seats[i];
+    restoreLineStates(seat.lines, s.lines);
+    seat.owners = new Map(s.owners);
+    seat.rounds = s.rounds;
+    seat.pencilUsed = new Set(s.pencilUsed);
+    seat.pencilArmed = s.pencilArmed;
+    seat.built = s.built;
+  });
+}
+
+/**
+ * Final tally of every seat, best first:
+ * { name, rounds, PP, P2, P3, P4, junctions, objectives, finalScore }.
+ */
+function hotseatStandings() {
+  return forEachSeat(seat => {
+    const net = networkScore();
+    const objectives = objectiveScore().points;
+    const sumFP = roundResults.reduce((sum, r) => sum + r.FP, 0);
+    return {
+      name: seat.name,
+      rounds: [...roundResults],
+      ...net,
+      junctions: net.bonus - net.PP, // weighted by the game's rule variant
+      objectives,
+      finalScore: sumFP + net.bonus + objectives,
+    };
+  }).sort((a, b) => b.finalScore - a.finalScore);
+}
+
+// Results table of several players (hot-seat or online), best first
+function renderStandings(standings) {
+  if (!resultPlayers) return;
+  resultPlayers.hidden = false;
+  const lineNames = state.order.map(lineName);
+  resultPlayers.innerHTML = "";
+
+  const head = resultPlayers.createTHead().insertRow();
+  for (const label of ["#", "Player", ...lineNames, "PP", "Junctions", "Objectives", "Total"]) {
+    const th = document.createElement("th");
+    th.textContent = label;
+    head.appendChild(th);
+  }
+  const body = resultPlayers.createTBody();
+  standings.forEach((row, i) => {
+    const tr = body.insertRow();
+    const fps = state.order.map(lineId => row.rounds.find(r => r.lineId === lineId)?.FP ?? 0);
+    for (const value of [i + 1, row.name, ...fps, row.PP, row.junctions, row.objectives ?? 0, row.finalScore]) {
+      tr.insertCell().textContent = String(value);
+    }
+  });
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+  13) ONLINE ROOMS
+──────────────────────────────────────────────────────────────────────────── */
+/*
+  Remote shared-card games through server/relay.mjs. The relay deals the line
+  order and the cards and ends the rounds; every client validates and scores
+  its own board, reports the sections it built for each card ("done") and its
+  final tally. See the message list at the top of server/relay.mjs.
+*/
+// null when not in a room
+// { socket, code, you, host, players, started, done, sent }
+let online = null;
+
+function defaultRelayUrl() {
+  const host = location.host || "localhost:8080";
+  return `${location.protocol === "https:" ? "wss" : "ws"}://${host}/ws`;
+}
+
+function setOnlineStatus(text, isError = false) {
+  if (!onlineStatus) return;
+  onlineStatus.textContent = text;
+  onlineStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Open a connection to the relay and send `firstMessage` once it is up.
+ */
+function connectOnline(firstMessage) {
+  if (online) {
+    sendOnline(firstMessage);
+    return;
+  }
+  let socket;
+  try {
+    socket = new WebSocket(onlineServer?.value.trim() || defaultRelayUrl());
+  } catch (e) {
+    setOnlineStatus(`Can't connect: ${e.message}`, true);
+    return;
+  }
+  online = { socket, code: null, you: null, host: null, players: [], started: false, done: false, sent: 0 };
+  setOnlineStatus("Connecting…");
+
+  socket.addEventListener("open", () => sendOnline(firstMessage));
+  socket.addEventListener("message", async (e) => {
+    try {
+      await handleOnlineMessage(JSON.parse(e.data));
+    } catch (err) {
+      console.warn("Bad message from the relay", err);
+    }
+  });
+  socket.addEventListener("error", () => setOnlineStatus("Connection to the relay failed.", true));
+  socket.addEventListener("close", () => {
+    if (!online || online.socket !== socket) return;
+    const midGame = online.started && gameInProgress();
+    online = null;
+    renderOnlineLobby();
+    updateOnlineControls();
+    setOnlineStatus("Disconnected from the relay.", true);
+    if (midGame && hudPlayers) {
+      hudPlayers.hidden = false;
+      hudPlayers.textContent = "Disconnected from the room — the game can't continue.";
+    }
+  });
+}
+
+function sendOnline(msg) {
+  if (online?.socket.readyState === WebSocket.OPEN) online.socket.send(JSON.stringify(msg));
+}
+
+function leaveOnline() {
+  if (!online) return;
+  const { socket } = online;
+  online = null;
+  socket.close();
+  renderOnlineLobby();
+  updateOnlineControls();
+  setOnlineStatus("");
+}
+
+function onlinePlayerName() {
+  const input = document.querySelector("#player-name");
+  const name = input.value.trim();
+  if (!name) {
+    setOnlineStatus("Enter your name in the menu first.", true);
+    input.focus();
+  }
+  return name;
+}
+
+function createRoom() {
+  const name = onlinePlayerName();
+  if (!name || dataErrors.length) return;
+  connectOnline({
+    type: "create",
+    name,
+    map: currentMapId,
+    lines: LINES.map(l => l.id),
+    mode: modeSelect?.value || "classic",
+    rules: rulesFromMenu(),
+    timer: Number(cardTimerSelect?.value) || 0,
+  });
+}
+
+function joinRoom() {
+  const name = onlinePlayerName();
+  const code = onlineCode?.value.trim().toUpperCase();
+  if (!name) return;
+  if (!code) {
+    setOnlineStatus("Enter the room code.", true);
+    return;
+  }
+  connectOnline({ type: "join", code, name });
+}
+
+async function handleOnlineMessage(msg) {
+  if (!online) return;
+  switch (msg.type) {
+    case "error":
+      setOnlineStatus(msg.message, true);
+      break;
+
+    case "room":
+      Object.assign(online, { code: msg.code, you: msg.you, host: msg.host, players: msg.players, rules: msg.rules });
+      if (msg.map !== currentMapId) await initData(msg.map);
+      if (msg.map !== currentMapId || dataErrors.length) {
+        setOnlineStatus(`This room plays map "${msg.map}", which is not available here.`, true);
+        leaveOnline();
+        return;
+      }
+      setOnlineStatus(online.you === online.host
+        ? "Share the room code; start when everyone has joined."
+        : "Waiting for the host to start…");
+      renderOnlineLobby();
+      renderOnlinePlayers();
+      break;
+
+    case "start":
+      closeModal(onlineModal);
+      startGame(onlinePlayerName() || "Player", { seed: msg.seed, order: msg.order, mode: msg.mode, rules: msg.rules, timer: msg.timer || 0 });
+      online.started = true;
+      online.done = false;
+      online.sent = 0;
+      renderOnlinePlayers();
+      updateOnlineControls();
+      break;
+
+    case "card":
+      online.done = false;
+      for (const p of online.players) p.done = false;
+      revealCard(msg.card);
+      renderOnlinePlayers();
+      break;
+
+    case "progress":
+      online.players = msg.players;
+      renderOnlinePlayers();
+      break;
+
+    case "roundEnd":
+      online.sent = 0;
+      nextRound();
+      updateOnlineControls();
+      break;
+
+    case "results":
+      renderStandings(msg.standings);
+      if (resultSummary) {
+        const best = msg.standings[0].finalScore;
+        resultSummary.textContent =
+          `Winner: ${msg.standings.filter(row => row.finalScore === best).map(row => row.name).join(" & ")} — ${best} points`;
+      }
+      leaveOnline();
+      break;
+  }
+}
+
+/**
+ * Done with the revealed card: report the sections built with it and wait
+ * for the other players.
+ */
+function finishOnlineCard() {
+  if (!online || online.done || !state.currentCard) return;
+  const LS = ensureLineState(state.order[state.roundIndex]);
+  const builds = LS.segments.slice(online.sent).map(({ a, b }) => ({ a, b }));
+  online.sent = LS.segments.length;
+  online.done = true;
+  clearBuildHistory(); // reported sections are final
+  clearStationSelection();
+  sendOnline({ type: "done", builds });
+  stopCardCountdown();
+  updateOnlineControls();
+}
+
+// Called from finishGame(): the relay collects every tally and sends the standings
+function sendOnlineResult(standing) {
+  if (online) sendOnline({ type: "result", standing });
+}
+
+function updateOnlineControls() {
+  const inGame = !!online?.started;
+  for (const btn of [btnDraw, btnSkip, btnEnd]) {
+    if (btn) btn.hidden = inGame;
+  }
+  if (!btnOnlineDone) return;
+  btnOnlineDone.hidden = !inGame;
+  if (!inGame) return;
+  btnOnlineDone.disabled = !state.currentCard || online.done || !gameInProgress();
+  btnOnlineDone.textContent = online.done ? "Waiting for others…" : "Done with card ✓";
+}
+
+function renderOnlineLobby() {
+  if (!onlineLobby) return;
+  onlineLobby.hidden = !online?.code;
+  if (!online?.code) return;
+  onlineRoomCode.textContent = online.code;
+  if (onlineRoomRules) onlineRoomRules.textContent = online.rules ? `· Rules: ${normalizeRules(online.rules).name}` : "";
+  onlinePlayerList.innerHTML = "";
+  for (const p of online.players) {
+    const li = document.createElement("li");
+    li.textContent = p.name + (p.id === online.host ? " (host)" : "") + (p.id === online.you ? " — you" : "");
+    onlinePlayerList.appendChild(li);
+  }
+  btnOnlineStart.hidden = online.you !== online.host;
+}
+
+// In-game HUD: who is still playing the revealed card
+function renderOnlinePlayers() {
+  renderOnlineLobby();
+  if (!hudPlayers || !online?.started) return;
+  hudPlayers.hidden = false;
+  hudPlayers.innerHTML = "";
+  for (const p of online.players) {
+    const chip = document.createElement("span");
+    chip.className = "seat-chip" + (p.id === online.you ? " active" : "");
+    chip.textContent = `${p.name} ${p.done ? "✓" : "…"}`;
+    hudPlayers.appendChild(chip);
+  }
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+  14) BOARD EDITOR
+──────────────────────────────────────────────────────────────────────────── */
+const EDITOR_MAP_ID   = "editor"; // map index entry for a board applied from the editor
+
+let editorPack = null;        // working copy of a map pack (same shape as loadMapPack())
+let editorSelectedId = null;  // station being edited
+
+function blankMapPack() {
+  return {
+    id: "new-map",
+    name: "New map",
+    grid: { cols: DEFAULT_GRID_SIZE, rows: DEFAULT_GRID_SIZE },
+    river: [],
+    transferStation: null,
+    stations: [],
+    lines: [],
+  };
+}
+
+function editorStation(id) {
+  return editorPack.stations.find(s => s.id === id) || null;
+}
+
+function editorStationAt(x, y) {
+  return editorPack.stations.find(s => s.x === x && s.y === y) || null;
+}
+
+function setEditorStatus(msg, isError = false) {
+  if (!editorStatus) return;
+  editorStatus.textContent = msg;
+  editorStatus.classList.toggle("error", isError);
+}
+
+function openEditor() {
+  editorPack = currentPack ? structuredClone(currentPack) : blankMapPack();
+  editorSelectedId = null;
+  setEditorStatus("");
+  menu.classList.remove("active");
+  editorScreen.classList.add("active");
+  renderEditor();
+}
+
+function closeEditor() {
+  showMenu();
+}
+
+function renderEditor() {
+  renderEditorGrid();
+  renderEditorLines();
+  renderEditorForm();
+
+  editorMapName.textContent = editorPack.name;
+  editorName.value = editorPack.name;
+  editorCols.value = String(editorPack.grid.cols);
+  editorRows.value = String(editorPack.grid.rows);
+}
+
+function renderEditorGrid() {
+  const { cols, rows } = editorPack.grid;
+  editorBoard.style.setProperty("--cols", cols);
+  editorBoard.style.setProperty("--rows", rows);
+
+  const startLine = new Map(editorPack.lines.map(l => [l.start, l]));
+  const frag = document.createDocumentFragment();
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const cell = document.createElement("div");
+      cell.className = "cell editor-cell";
+      cell.dataset.x = x;
+      cell.dataset.y = y;
+
+      const s = editorStationAt(x, y);
+      if (s) {
+        const el = document.createElement("span");
+        el.className = "editor-station" + (s.type === "?" ? " joker" : "");
+        if (s.train) el.classList.add("hub");
+        if (s.id === editorPack.transferStation) el.classList.add("transfer");
+        if (s.id === editorSelectedId) el.classList.add("selected");
+        const line = startLine.get(s.id);
+        if (line) {
+          el.classList.add("start");
+          el.style.setProperty("--line-color", line.color);
+        }
+        el.textContent = s.type;
+        el.title = `#${s.id} — district ${s.district ?? "?"}, ${s.side || "no side"}`;
+
+        const district = document.createElement("small");
+        district.textContent = s.district ?? "";
+        el.appendChild(district);
+        cell.appendChild(el);
+      }
+      frag.appendChild(cell);
+    }
+  }
+  editorGrid.innerHTML = "";
+  editorGrid.appendChild(frag);
+
+  // river polyline, same grid coordinates as the game board
+  editorRiver.setAttribute("viewBox", `0 0 ${cols * SVG_CELL} ${rows * SVG_CELL}`);
+  editorRiver.innerHTML = "";
+  if (editorPack.river.length >= 2) {
+    const poly = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+    poly.setAttribute("points", editorPack.river
+      .map(([x, y]) => `${(x + 0.5) * SVG_CELL},${(y + 0.5) * SVG_CELL}`)
+      .join(" "));
+    poly.setAttribute("class", "editor-river-path");
+    editorRiver.appendChild(poly);
+  }
+}
+
+function renderEditorLines() {
+  editorLinesList.innerHTML = "";
+  editorPack.lines.forEach(line => {
+    const li = document.createElement("li");
+    li.dataset.id = line.id;
+    li.innerHTML = `
+      <input type="color" name="color" aria-label="Line color" />
+      <input type="text" name="name" aria-label="Line name" maxlength="12" />
+      <span>start: ${line.start ?? "—"}</span>
+      <button type="button" class="icon-btn" data-remove aria-label="Remove line">✕</button>
+    `;
+    li.querySelector("[name=color]").value = line.color;
+    li.querySelector("[name=name]").value = line.name;
+    editorLinesList.appendChild(li);
+  });
+
+  editorStartSelect.innerHTML = `<option value="">—</option>`;
+  for (const line of editorPack.lines) {
+    const opt = document.createElement("option");
+    opt.value = line.id;
+    opt.textContent = line.name;
+    editorStartSelect.appendChild(opt);
+  }
+}
+
+function renderEditorForm() {
+  const s = editorStation(editorSelectedId);
+  const fields = editorForm.elements;
+  for (const el of fields) el.disabled = !s;
+  editorStationId.textContent = s ? `#${s.id} (${s.x}, ${s.y})` : "—";
+
+  editorSides.innerHTML = "";
+  for (const side of new Set(editorPack.stations.map(st => st.side).filter(Boolean))) {
+    const opt = document.createElement("option");
+    opt.value = side;
+    editorSides.appendChild(opt);
+  }
+  if (!s) return;
+
+  fields.type.value = s.type;
+  fields.district.value = s.district ?? "";
+  fields.side.value = s.side || "";
+  fields.train.checked = !!s.train;
+  fields.transfer.checked = s.id === editorPack.transferStation;
+  const startOf = editorPack.lines.find(l => l.start === s.id);
+  fields.start.value = startOf ? String(startOf.id) : "";
+}
+
+/**
+ * Cell click: add/select, move the selected station, or delete,
+ * depending on the chosen tool.
+ */
+function handleEditorCellClick(x, y) {
+  const tool = document.querySelector("input[name=editor-tool]:checked")?.value || "add";
+  const hit = editorStationAt(x, y);
+
+  if (tool === "delete") {
+    if (!hit) return;
+    removeEditorStation(hit.id);
+  } else if (hit) {
+    editorSelectedId = hit.id;
+  } else if (tool === "move") {
+    const sel = editorStation(editorSelectedId);
+    if (!sel) return;
+    sel.x = x;
+    sel.y = y;
+  } else {
+    // new station inherits symbol/district/side of the previous selection
+    const prev = editorStation(editorSelectedId);
+    const id = editorPack.stations.reduce((max, st) => Math.max(max, st.id), -1) + 1;
+    editorPack.stations.push({
+      id,
+      x,
+      y,
+      type: prev ? prev.type : "A",
+      train: false,
+      side: prev ? prev.side : "",
+      district: prev ? prev.district : 0,
+    });
+    editorPack.stations.sort((a, b) => a.id - b.id);
+    editorSelectedId = id;
+  }
+  renderEditorGrid();
+  renderEditorForm();
+}
+
+function removeEditorStation(id) {
+  editorPack.stations = editorPack.stations.filter(s => s.id !== id);
+  for (const line of editorPack.lines) {
+    if (line.start === id) line.start = null;
+  }
+  if (editorPack.transferStation === id) editorPack.transferStation = null;
+  if (editorSelectedId === id) editorSelectedId = null;
+  renderEditorLines();
+}
+
+function updateEditorStationFromForm() {
+  const s = editorStation(editorSelectedId);
+  if (!s) return;
+  const fields = editorForm.elements;
+
+  s.type = STATION_SYMBOLS.includes(fields.type.value) ? fields.type.value : "A";
+  s.district = fields.district.value === "" ? null : Number(fields.district.value);
+  s.side = fields.side.value.trim();
+  s.train = fields.train.checked;
+
+  if (fields.transfer.checked) {
+    editorPack.transferStation = s.id;
+  } else if (editorPack.transferStation === s.id) {
+    editorPack.transferStation = null;
+  }
+
+  // a station starts at most one line, and a line has one start
+  const startLineId = fields.start.value === "" ? null : Number(fields.start.value);
+  for (const line of editorPack.lines) {
+    if (line.id === startLineId) line.start = s.id;
+    else if (line.start === s.id) line.start = null;
+  }
+
+  renderEditorGrid();
+  renderEditorLines();
+  fields.start.value = startLineId === null ? "" : String(startLineId);
+}
+
+function updateEditorLineFromRow(row) {
+  const line = editorPack.lines.find(l => l.id === +row.dataset.id);
+  if (!line) return;
+  line.name = row.querySelector("[name=name]").value.trim() || line.name;
+  line.color = row.querySelector("[name=color]").value;
+  renderEditorGrid();
+  const selected = editorStartSelect.value;
+  const opt = editorStartSelect.querySelector(`option[value="${line.id}"]`);
+  if (opt) opt.textContent = line.name;
+  editorStartSelect.value = selected;
+}
+
+function addEditorLine() {
+  const id = editorPack.lines.reduce((max, l) => Math.max(max, l.id), -1) + 1;
+  editorPack.lines.push({ id, name: `M${id + 1}`, color: "#ffffff", start: null });
+  renderEditorLines();
+  renderEditorForm();
+}
+
+function removeEditorLine(id) {
+  editorPack.lines = editorPack.lines.filter(l => l.id !== id);
+  renderEditorLines();
+  renderEditorGrid();
+  renderEditorForm();
+}
+
+function resizeEditorBoard() {
+  const cols = Math.round(Number(editorCols.value));
+  const rows = Math.round(Number(editorRows.value));
+  const maxX = editorPack.stations.reduce((m, s) => Math.max(m, s.x), -1);
+  const maxY = editorPack.stations.reduce((m, s) => Math.max(m, s.y), -1);
+  if (!(cols >= 2 && rows >= 2) || cols <= maxX || rows <= maxY) {
+    setEditorStatus(`Board must be at least ${Math.max(2, maxX + 1)}×${Math.max(2, maxY + 1)} to keep every station.`, true);
+    editorCols.value = String(editorPack.grid.cols);
+    editorRows.value = String(editorPack.grid.rows);
+    return;
+  }
+  editorPack.grid = { cols, rows };
+  setEditorStatus("");
+  renderEditorGrid();
+}
+
+/**
+ * Serialize a pack in the map pack file layout (one station/line per row).
+ */
+function formatMapPackJson(pack) {
+  const inline = (v) => JSON.stringify(v, null, 1).replace(/\n\s*/g, " ");
+  const rows = (arr) => arr.length
+    ? `[\n${arr.map(o => `        ${inline(o)}`).join(",\n")}\n    ]`
+    : "[]";
+  const stations = pack.stations.map(s => ({
+    id: s.id, x: s.x, y: s.y, type: s.type, train: !!s.train, side: s.side, district: s.district,
+  }));
+  const lines = pack.lines.map(l => ({ id: l.id, name: l.name, color: l.color, start: l.start }));
+
+  return [
+    "{",
+    `    "id": ${JSON.stringify(pack.id)},`,
+    `    "name": ${JSON.stringify(pack.name)},`,
+    `    "grid": ${inline(pack.grid)},`,
+    `    "transferStation": ${JSON.stringify(pack.transferStation)},`,
+    `    "river": { "points": ${JSON.stringify(pack.river)} },`,
+    `    "stations": ${rows(stations)},`,
+    `    "lines": ${rows(lines)}`,
+    "}",
+    "",
+  ].join("\n");
+}
+
+function exportEditorPack() {
+  const errors = validateMapPack(editorPack);
+  const filename = `${editorPack.id}.json`;
+  downloadBlob(new Blob([formatMapPackJson(editorPack)], { type: "application/json" }), filename);
+  if (errors.length) {
+    setEditorStatus(`Exported ${filename}, but it has ${errors.length} problem(s): ${errors[0]}`, true);
+  } else {
+    setEditorStatus(`Exported ${filename}. Add it to maps/index.json to make it selectable.`);
+  }
+}
+
+/**
+ * Accept either a map pack with inline stations/lines or a bare
+ * stations.json array (which keeps the current lines, grid and river).
+ */
+function importEditorJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    setEditorStatus(`Import failed: ${e.message}`, true);
+    return;
+  }
+
+  const base = editorPack || blankMapPack();
+  const stations = Array.isArray(data) ? data : data?.stations;
+  if (!Array.isArray(stations)) {
+    setEditorStatus("Import failed: expected a stations array or a map pack with inline \"stations\".", true);
+    return;
+  }
+  const pack = Array.isArray(data) ? { ...base } : {
+    id: data.id || base.id,
+    name: data.name || data.id || base.name,
+    grid: {
+      cols: data.grid?.cols ?? DEFAULT_GRID_SIZE,
+      rows: data.grid?.rows ?? DEFAULT_GRID_SIZE,
+    },
+    river: Array.isArray(data.river?.points) ? data.river.points : [],
+    transferStation: data.transferStation ?? null,
+    lines: Array.isArray(data.lines) ? data.lines : base.lines,
+  };
+  pack.stations = stations.map(s => ({
+    id: Number(s.id),
+    x: Number(s.x),
+    y: Number(s.y),
+    type: String(s.type),
+    train: !!s.train,
+    side: s.side ?? "",
+    district: s.district ?? null,
+  }));
+
+  editorPack = structuredClone(pack);
+  editorSelectedId = null;
+  renderEditor();
+  setEditorStatus(`Imported ${pack.stations.length} stations.`);
+}
+
+/**
+ * Make the edited board selectable in the menu for this session.
+ */
+function useEditorPack() {
+  const entry = { id: EDITOR_MAP_ID, name: `${editorPack.name} (edited)`, pack: structuredClone(editorPack) };
+  mapIndex = mapIndex.filter(m => m.id !== EDITOR_MAP_ID).concat(entry);
+  initData(EDITOR_MAP_ID);
+  closeEditor();
+}
+
+
+/* ────────────────────────────────────────────────────────────────────────────
+  15) EVENT WIRING
+──────────────────────────────────────────────────────────────────────────── */
+// Menu form submit
+function startFromMenu(options) {
+  const input = document.querySelector("#player-name");
+  const name = input.value.trim();
+  if (dataErrors.length) return;
+  if (!name) {
+    input.focus();
+    input.style.borderColor = "#ef4444";
+    setTimeout(() => (input.style.borderColor = "#2a365c"), 600);
+    return;
+  }
+  const others = [...document.querySelectorAll(".hotseat-name")]
+    .map(el => el.value.trim())
+    .filter(Boolean);
+  startGame(name, { ...options, others });
+}
+
+document.querySelector("#menu-form").addEventListener("submit", (e) => {
+  e.preventDefault();
+  startFromMenu({ seed: seedInput ? seedInput.value.trim() : "" });
+});
+if (btnDaily) btnDaily.addEventListener("click", () => startFromMenu({ daily: todayKey() }));
+
+// Continue a saved game
+if (btnContinue) btnContinue.addEventListener("click", resumeGame);
+
+// Rule variants: a preset fills the fields, editing a field makes the rules custom
+showRulesInMenu(loadRulesChoice());
+if (rulesPreset) {
+  rulesPreset.addEventListener("change", () => {
+    const preset = RULE_PRESETS[rulesPreset.value];
+    const rules = normalizeRules(preset || rulesFromMenu());
+    showRulesInMenu(rules);
+    saveRulesChoice(rules);
+  });
+}
+for (const el of ruleInputs) {
+  el.addEventListener("change", () => {
+    const rules = rulesFromMenu();
+    showRulesInMenu(rules);
+    saveRulesChoice(rules);
+  });
+}
+
+// Scoring overlay toggle and line picker
+if (btnOverlay) {
+  btnOverlay.addEventListener("click", () => {
+    overlayOn = !overlayOn;
+    renderOverlay();
+  });
+}
+if (overlayLineSelect) overlayLineSelect.addEventListener("change", renderOverlay);
+
+// Map picker
+if (mapSelect) {
+  mapSelect.addEventListener("change", () => {
+    saveMapChoice(mapSelect.value);
+    initData(mapSelect.value);
+  });
+}
+
+// Board editor
+btnEditor.addEventListener("click", openEditor);
+document.querySelector("#editor-back").addEventListener("click", closeEditor);
+document.querySelector("#editor-use").addEventListener("click", useEditorPack);
+document.querySelector("#editor-export").addEventListener("click", exportEditorPack);
+document.querySelector("#editor-add-line").addEventListener("click", addEditorLine);
+document.querySelector("#editor-import").addEventListener("click", () => editorImportFile.click());
+editorImportFile.addEventListener("change", async () => {
+  const file = editorImportFile.files[0];
+  if (!file) return;
+  importEditorJson(await file.text());
+  editorImportFile.value = "";
+});
+editorGrid.addEventListener("click", (e) => {
+  const cell = e.target.closest(".editor-cell");
+  if (cell) handleEditorCellClick(+cell.dataset.x, +cell.dataset.y);
+});
+editorForm.addEventListener("change", updateEditorStationFromForm);
+editorLinesList.addEventListener("change", (e) => {
+  const row = e.target.closest("li");
+  if (row) updateEditorLineFromRow(row);
+});
+editorLinesList.addEventListener("click", (e) => {
+  const row = e.target.closest("li");
+  if (row && e.target.closest("[data-remove]")) removeEditorLine(+row.dataset.id);
+});
+editorName.addEventListener("change", () => {
+  editorPack.name = editorName.value.trim() || editorPack.name;
+  editorPack.id = editorPack.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || editorPack.id;
+  editorMapName.textContent = editorPack.name;
+});
+editorCols.addEventListener("change", resizeEditorBoard);
+editorRows.addEventListener("change", resizeEditorBoard);
+
+// Window resize: keep visuals in sync while game visible
+window.addEventListener("resize", () => {
+  if (!game.classList.contains("active")) return;
+  applyBoardView();
+  renderStations(lastStations);
+  updateMoveHints();
+  drawSegments();
+  renderRiver();
+});
+
+// The clocks tick without saving; keep their time when the page is hidden or closed
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") saveGame();
+});
+window.addEventListener("pagehide", saveGame);
+
+// Pinch zoom and two-finger pan (pointer events), Ctrl+wheel / trackpad pinch zoom
+if (boardViewport) {
+  boardViewport.addEventListener("pointerdown", (e) => {
+    boardPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (boardPointers.size !== 2) return;
+    if (drag) endDrag(false);
+    pinch = { from: { ...boardView }, ...pinchSpan() };
+  });
+  boardViewport.addEventListener("pointermove", (e) => {
+    if (!boardPointers.has(e.pointerId)) return;
+    boardPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (!pinch || boardPointers.size !== 2) return;
+    e.preventDefault();
+    const now = pinchSpan();
+    zoomBoard(pinch.from, pinch.from.zoom * now.dist / pinch.dist, pinch.midX, pinch.midY, now.midX, now.midY);
+  });
+  const releasePointer = (e) => {
+    if (!boardPointers.delete(e.pointerId) || !pinch) return;
+    pinch = null;
+    renderRiver(); // redraw at the new resolution
+  };
+  boardViewport.addEventListener("pointerup", releasePointer);
+  boardViewport.addEventListener("pointercancel", releasePointer);
+  boardViewport.addEventListener("wheel", (e) => {
+    if (!e.ctrlKey) return; // plain wheel scrolls the page
+    e.preventDefault();
+    zoomBoard({ ...boardView }, boardView.zoom * Math.exp(-e.deltaY * 0.01), e.clientX, e.clientY);
+    renderRiver();
+  }, { passive: false });
+}
+if (btnFitBoard) btnFitBoard.addEventListener("click", fitBoard);
+
+// Rules modal
+btnRules.addEventListener("click", openRules);
+btnRulesClose.addEventListener("click", closeRules);
+rulesModal.addEventListener("click", (e) => {
+  if (e.target.classList.contains("modal-backdrop")) closeRules();
+});
+window.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && rulesModal.classList.contains("show")) closeRules();
+  if (e.key === "Escape" && replayModal.classList.contains("show")) closeModal(replayModal);
+  if (e.key === "Escape" && onlineModal.classList.contains("show")) closeModal(onlineModal);
+});
+
+// Game record export & replay
+btnRecordCopy.addEventListener("click", copyRecord);
+btnRecordDownload.addEventListener("click", downloadRecord);
+document.querySelector("#btn-replay").addEventListener("click", () => {
+  replayError.textContent = "";
+  openModal(replayModal);
+});
+document.querySelector("#replay-close").addEventListener("click", () => closeModal(replayModal));
+replayModal.addEventListener("click", (e) => {
+  if (e.target.classList.contains("modal-backdrop")) closeModal(replayModal);
+});
+document.querySelector("#replay-file-btn").addEventListener("click", () => replayFile.click());
+replayFile.addEventListener("change", async () => {
+  const file = replayFile.files[0];
+  if (!file) return;
+  replayInput.value = await file.text();
+  replayFile.value = "";
+});
+document.querySelector("#replay-start").addEventListener("click", () => startReplay(replayInput.value));
+btnReplayPrev.addEventListener("click", () => {
+  stopReplayAutoplay();
+  showReplayStep(replay.pos - 1);
+});
+btnReplayNext.addEventListener("click", () => {
+  stopReplayAutoplay();
+  showReplayStep(replay.pos + 1);
+});
+btnReplayPlay.addEventListener("click", toggleReplayAutoplay);
+btnReplayExit.addEventListener("click", exitReplay);
+
+// Online rooms
+document.querySelector("#btn-online").addEventListener("click", () => {
+  if (onlineServer && !onlineServer.value) onlineServer.value = defaultRelayUrl();
+  renderOnlineLobby();
+  openModal(onlineModal);
+});
+document.querySelector("#online-close").addEventListener("click", () => {
+  if (!online?.started) leaveOnline();
+  closeModal(onlineModal);
+});
+onlineModal.addEventListener("click", (e) => {
+  if (e.target.classList.contains("modal-backdrop")) closeModal(onlineModal);
+});
+document.querySelector("#online-create").addEventListener("click", createRoom);
+document.querySelector("#online-join").addEventListener("click", joinRoom);
+btnOnlineStart.addEventListener("click", () => sendOnline({ type: "start" }));
+
+// Computer player
+if (btnBotTurn) btnBotTurn.addEventListener("click", botTurn);
+if (btnBotGame) btnBotGame.addEventListener("click", toggleAutoplay);
+
+// Build interaction: clicked stations (keyboard picks are wired below)
+let dragJustEnded = false; // the click that follows a drag's release is not a pick
+document.addEventListener("click", (e) => {
+  if (dragJustEnded) {
+    dragJustEnded = false;
+    return;
+  }
+  const node = e.target.closest(".station");
+  if (node) pickStation(+node.dataset.id);
+});
+
+// Drag from an origin to a target: a rubber band follows the pointer and
+// the section is built on release (short presses stay clicks)
+document.addEventListener("pointerdown", (e) => {
+  dragJustEnded = false;
+  if (!game.classList.contains("active") || replay.active || drag || e.button !== 0) return;
+  if (boardPointers.size > 1) return; // a second finger pinches
+  const node = e.target.closest(".station");
+  if (!node || originProblem(+node.dataset.id)) return; // the click reports why
+  drag = { pointerId: e.pointerId, from: +node.dataset.id, x: e.clientX, y: e.clientY, moved: false, target: null };
+});
+document.addEventListener("pointermove", (e) => {
+  if (!drag || e.pointerId !== drag.pointerId) return;
+  if (!drag.moved) {
+    if (Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < DRAG_THRESHOLD_PX) return;
+    startDrag();
+  }
+  e.preventDefault();
+  updateRubberBand(e.clientX, e.clientY);
+});
+document.addEventListener("pointerup", (e) => {
+  if (!drag || e.pointerId !== drag.pointerId) return;
+  dragJustEnded = drag.moved;
+  endDrag(true);
+});
+document.addEventListener("pointercancel", (e) => {
+  if (drag && e.pointerId === drag.pointerId) endDrag(false);
 });
 
 // Control buttons
@@ -1062,6 +4025,8 @@ btnSkip.addEventListener("click", () => {
   drawCard();
 });
 btnEnd.addEventListener("click", nextRound);
+if (btnNextPlayer) btnNextPlayer.addEventListener("click", endSeatTurn);
+if (btnOnlineDone) btnOnlineDone.addEventListener("click", finishOnlineCard);
 
 if (btnSwitch) {
   btnSwitch.addEventListener("click", () => {
@@ -1069,25 +4034,71 @@ if (btnSwitch) {
   });
 }
 
-if (btnPencil) {
-  btnPencil.addEventListener("click", () => {
-    state.pencilMode = !state.pencilMode;
+if (btnUndo) btnUndo.addEventListener("click", () => stepBuildHistory("undo"));
+if (btnRedo) btnRedo.addEventListener("click", () => stepBuildHistory("redo"));
 
-    if (btnPencil) {
-      btnPencil.classList.toggle("active", state.pencilMode);
-    }
+// Undo: Ctrl/Cmd+Z, redo: Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z
+window.addEventListener("keydown", (e) => {
+  if (!game.classList.contains("active") || replay.active) return;
+  if (!(e.ctrlKey || e.metaKey) || e.target.closest?.("input, select, textarea")) return;
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    stepBuildHistory("undo");
+  } else if (key === "y" || (key === "z" && e.shiftKey)) {
+    e.preventDefault();
+    stepBuildHistory("redo");
+  }
+});
 
-    // When turning pencil mode off, clear any temporary planning lines.
-    if (!state.pencilMode && svg) {
-      svg.querySelectorAll(".pencil-line").forEach(n => n.remove());
+// Keyboard play: arrows move between stations (Home/PageUp/End/PageDown are the
+// diagonals), Enter/Space picks one, Escape drops the origin; D / S / E draw,
+// skip and end the round
+const KEY_SHORTCUTS = { d: btnDraw, s: btnSkip, e: btnEnd };
+window.addEventListener("keydown", (e) => {
+  if (!game.classList.contains("active") || replay.active) return;
+  if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.("input, select, textarea")) return;
+  if (document.querySelector(".modal.show")) return;
+  const node = e.target.closest?.(".station");
+  const direction = STATION_KEY_DIRECTIONS[e.key];
+
+  if (e.key === "Escape" && drag) {
+    dragJustEnded = drag.moved;
+    endDrag(false);
+  } else if (node && direction) {
+    e.preventDefault();
+    const next = stationInDirection(+node.dataset.id, direction);
+    if (next !== null) setFocusableStation(next, true);
+  } else if (node && (e.key === "Enter" || e.key === " ")) {
+    e.preventDefault();
+    pickStation(+node.dataset.id);
+  } else if (e.key === "Escape" && selectedStationId !== null) {
+    clearStationSelection();
+    announce("Origin dropped");
+  } else {
+    const btn = KEY_SHORTCUTS[e.key.toLowerCase()];
+    if (btn && !btn.disabled && !btn.closest("[hidden]")) {
+      e.preventDefault();
+      btn.click();
     }
+  }
+});
+document.addEventListener("focusin", (e) => {
+  const node = e.target.closest?.(".station");
+  if (node) setFocusableStation(+node.dataset.id);
+});
+
+if (pencilButtons) {
+  pencilButtons.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-ability]");
+    if (btn) togglePencilAbility(btn.dataset.ability);
   });
 }
 
 if (btnMainMenu) {
   btnMainMenu.addEventListener("click", () => {
+    leaveOnline();
     resetGameState();
-    game.classList.remove("active");
-    menu.classList.add("active");
+    showMenu();
   });
 }
\ No newline at end of file
@@ -0,0 +1,406 @@
+// Budapest Metro — online rooms relay.
+//
+//   node server/relay.mjs [port]        (default 8080, or $PORT)
+//
+// Serves the game files from the repository root and hosts rooms over a
+// WebSocket at /ws. No dependencies: the WebSocket framing (RFC 6455, text
+// frames only) is done by hand below, and the rule variants and the deck come
+// from the game's own engine.js.
+//
+// The server deals the line order and every round's deck, reveals the cards
+// and ends the rounds; players build and validate on their own clients and
+// report what they built and their final score.
+//
+// Client -> server messages (JSON):
+//   { type: "create", name, map, lines: [lineId, ...], mode, rules, timer }
+//   { type: "join", code, name }
+//   { type: "start" }                               host only
+//   { type: "done", builds: [{ a, b }, ...] }       finished with the revealed card
+//   { type: "result", standing }                    final tally at game end
+// Server -> client:
+//   { type: "room", code, you, host, map, mode, rules, players: [{ id, name, done }] }
+//   { type: "start", order, seed, mode, rules, timer, map }    seed: same objectives for everyone
+//   { type: "card", card, draw, round }
+//   { type: "progress", players }
+//   { type: "roundEnd", round }
+//   { type: "results", standings }
+//   { type: "error", message }
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import url from "node:url";
+import { countPlatformType, deckCards, isRoundOver, normalizeRules } from "../engine.js";
+
+const ROOT = path.resolve(path.dirname(url.fileURLToPath(import.meta.url)), "..");
+const PORT = Number(process.argv[2] || process.env.PORT) || 8080;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const MAX_PLAYERS = 8;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js":   "text/javascript; charset=utf-8",
+  ".mjs":  "text/javascript; charset=utf-8",
+  ".css":  "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png":  "image/png",
+  ".mp4":  "video/mp4",
+};
+
+/* ── Static files ─────────────────────────────────────────────────────────── */
+// Decoded path of a request, or null when the URL or one of its escapes is malformed
+function requestPath(req) {
+  try {
+    return decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch {
+    return null;
+  }
+}
+
+function serveStatic(req, res) {
+  const pathname = requestPath(req);
+  if (pathname === null) {
+    res.writeHead(400).end("Bad request");
+    return;
+  }
+  const file = path.join(ROOT, pathname === "/" ? "index.html" : pathname);
+  if (!file.startsWith(ROOT + path.sep) || file.includes(`${path.sep}.`)) {
+    res.writeHead(403).end("Forbidden");
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404).end("Not found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(data);
+  });
+}
+
+/* ── WebSocket framing ────────────────────────────────────────────────────── */
+function acceptUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || req.headers.upgrade?.toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return false;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  return true;
+}
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Wrap a raw socket: calls onMessage(text) for every complete text message
+ * and onClose() once. Returns { send(obj), close() }.
+ */
+function wrapSocket(socket, onMessage, onClose) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    try {
+      socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+    } catch { /* already gone */ }
+    onClose();
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        len = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (len > 1 << 20) return close(); // no game message is anywhere near 1 MB
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffer.length < offset + len) return;
+
+      const payload = Buffer.from(buffer.subarray(offset, offset + len));
+      if (masked) {
+        for (let i = 0; i < len; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+      buffer = buffer.subarray(offset + len);
+
+      if (opcode === 0x8) return close();
+      if (opcode === 0x9) {
+        socket.write(encodeFrame(0xA, payload));
+        continue;
+      }
+      if (opcode === 0xA) continue;
+      if (opcode === 0x1 || opcode === 0x0) {
+        fragments.push(payload);
+        if (fin) {
+          const text = Buffer.concat(fragments).toString("utf8");
+          fragments = [];
+          onMessage(text);
+        }
+      }
+    }
+  });
+  socket.on("close", close);
+  socket.on("error", close);
+
+  return {
+    send(obj) {
+      if (!closed) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(obj), "utf8")));
+    },
+    close,
+  };
+}
+
+/* ── Rooms ────────────────────────────────────────────────────────────────── */
+const rooms = new Map(); // code -> room
+let nextPlayerId = 1;
+
+function shuffle(arr) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// The deck of engine.js for the room's rule variant, shuffled here
+function buildDeck(rules) {
+  return shuffle(deckCards(rules));
+}
+
+function roomCode() {
+  const letters = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+  let code;
+  do {
+    code = Array.from({ length: 4 }, () => letters[crypto.randomInt(letters.length)]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+function broadcast(room, msg) {
+  for (const p of room.players) p.conn.send(msg);
+}
+
+function playerList(room) {
+  return room.players.map(p => ({ id: p.id, name: p.name, done: p.done }));
+}
+
+function sendRoom(room) {
+  for (const p of room.players) {
+    p.conn.send({
+      type: "room",
+      code: room.code,
+      you: p.id,
+      host: room.players[0]?.id,
+      map: room.map,
+      mode: room.mode,
+      rules: room.rules,
+      started: room.started,
+      players: playerList(room),
+    });
+  }
+}
+
+function startRound(room) {
+  room.round++;
+  room.deck = buildDeck(room.rules);
+  room.drawsThisRound = 0;
+  room.centerCount = 0;
+  room.sideCount = 0;
+  revealCard(room);
+}
+
+function revealCard(room) {
+  if (!room.deck.length) room.deck = buildDeck(room.rules);
+  const card = room.deck.pop();
+  room.drawsThisRound++;
+  countPlatformType(room, card, 1);
+  for (const p of room.players) p.done = false;
+  broadcast(room, { type: "card", card, draw: room.drawsThisRound, round: room.round });
+}
+
+// Everyone is done with the revealed card: next card, or end of the round
+function advance(room) {
+  // the room keeps the engine's round counters, so rounds end as they do on the clients
+  if (!isRoundOver(room)) {
+    revealCard(room);
+    return;
+  }
+  broadcast(room, { type: "roundEnd", round: room.round });
+  if (room.round + 1 < room.order.length) startRound(room);
+  else room.finished = true; // clients finish and send their results
+}
+
+function checkAllDone(room) {
+  if (!room.started || room.finished || !room.players.length) return;
+  if (room.players.every(p => p.done)) advance(room);
+}
+
+function checkResults(room) {
+  if (!room.finished || !room.players.length) return;
+  if (!room.players.every(p => p.standing)) return;
+  const standings = room.players
+    .map(p => ({ ...p.standing, name: p.name }))
+    .sort((a, b) => b.finalScore - a.finalScore);
+  broadcast(room, { type: "results", standings });
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function handleMessage(player, text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    msg = null;
+  }
+  if (!isPlainObject(msg)) {
+    player.conn.send({ type: "error", message: "Malformed message" });
+    return;
+  }
+  const name = String(msg.name || "").trim().slice(0, 30) || "Player";
+  const fail = (message) => player.conn.send({ type: "error", message });
+  let room = player.room;
+
+  switch (msg.type) {
+    case "create": {
+      if (room) return fail("You are already in a room");
+      if (!Array.isArray(msg.lines) || !msg.lines.length) return fail("The map has no lines");
+      if (!msg.lines.every(id => typeof id === "number" && Number.isFinite(id))) return fail("Line ids must be numbers");
+      room = {
+        code: roomCode(),
+        map: String(msg.map || "budapest"),
+        mode: msg.mode === "pencil" ? "pencil" : "classic",
+        rules: normalizeRules(isPlainObject(msg.rules) ? msg.rules : null),
+        timer: Math.min(120, Math.max(0, Math.round(Number(msg.timer)) || 0)), // seconds per card, 0 = untimed
+        lineIds: [...msg.lines],
+        players: [],
+        started: false,
+        finished: false,
+        round: -1,
+      };
+      rooms.set(room.code, room);
+      player.name = name;
+      player.room = room;
+      room.players.push(player);
+      sendRoom(room);
+      break;
+    }
+    case "join": {
+      if (room) return fail("You are already in a room");
+      room = rooms.get(String(msg.code || "").toUpperCase());
+      if (!room) return fail("No room with that code");
+      if (room.started) return fail("That game has already started");
+      if (room.players.length >= MAX_PLAYERS) return fail("That room is full");
+      player.name = name;
+      player.room = room;
+      room.players.push(player);
+      sendRoom(room);
+      break;
+    }
+    case "start": {
+      if (!room || room.players[0] !== player) return fail("Only the host can start the game");
+      if (room.started) return;
+      room.started = true;
+      room.order = shuffle(room.lineIds);
+      room.seed = crypto.randomBytes(4).toString("hex");
+      broadcast(room, { type: "start", order: room.order, seed: room.seed, mode: room.mode, rules: room.rules, timer: room.timer, map: room.map });
+      startRound(room);
+      break;
+    }
+    case "done": {
+      if (!room || !room.started || player.done) return;
+      player.done = true;
+      player.builds.push(...(Array.isArray(msg.builds) ? msg.builds : [])
+        .filter(b => isPlainObject(b) && Number.isFinite(b.a) && Number.isFinite(b.b))
+        .map(b => ({ a: b.a, b: b.b, round: room.round })));
+      broadcast(room, { type: "progress", players: playerList(room) });
+      checkAllDone(room);
+      break;
+    }
+    case "result": {
+      if (!room || !room.finished || !isPlainObject(msg.standing)) return;
+      player.standing = msg.standing;
+      checkResults(room);
+      break;
+    }
+    default:
+      fail(`Unknown message type "${msg.type}"`);
+  }
+}
+
+function handleClose(player) {
+  const room = player.room;
+  if (!room) return;
+  room.players = room.players.filter(p => p !== player);
+  if (!room.players.length) {
+    rooms.delete(room.code);
+    return;
+  }
+  sendRoom(room); // a new host takes over if needed
+  checkAllDone(room);
+  checkResults(room);
+}
+
+/* ── Server ───────────────────────────────────────────────────────────────── */
+const server = http.createServer(serveStatic);
+
+server.on("upgrade", (req, socket) => {
+  if (requestPath(req) !== "/ws") {
+    socket.destroy();
+    return;
+  }
+  if (!acceptUpgrade(req, socket)) return;
+
+  const player = { id: nextPlayerId++, name: "", room: null, done: false, builds: [], standing: null, conn: null };
+  player.conn = wrapSocket(
+    socket,
+    (text) => handleMessage(player, text),
+    () => handleClose(player)
+  );
+});
+
+server.listen(PORT, () => {
+  console.log(`Budapest Metro relay on http://localhost:${PORT} (WebSocket: ws://localhost:${PORT}/ws)`);
+});
@@ -0,0 +1,344 @@
+// Budapest Metro — Monte Carlo balance simulator.
+//
+//   node tools/simulate.mjs [options]
+//
+//   --games N          games per strategy (default 1000)
+//   --strategy S       random | greedy | junction | all (default all)
+//   --rules R          standard | short | long | house, or a rules key such as
+//                      "8/5/1+1/2-5-9/T" (default standard)
+//   --map FILE         map pack (default maps/budapest.json, which uses
+//                      stations.json and lines.json)
+//   --seed S           base seed; game i is played with seed "S-i" (default "sim")
+//   --json FILE        write the summary as JSON
+//   --csv FILE         write one row per game as CSV
+//
+// Games are played headless through engine.js with the real deck, placement
+// checks and final-score formula. Every strategy plays the same seeds, so they
+// see the same line orders and cards. Strategies only build or skip: no switch
+// card and no pencil abilities.
+//
+//   random     a uniformly random legal section for every card
+//   greedy     the section that raises the current line's FP the most
+//   junction   the section that raises the network bonus (train stations and
+//              junctions) the most, then FP
+//
+// The report gives the final-score distribution, average PK/PM/PD/FP per line,
+// how often the center/side limit ends a round before its last draw, and the
+// average FP of each line's start station (overall and by round position).
+
+import fs from "node:fs";
+import path from "node:path";
+import url from "node:url";
+import { parseArgs } from "node:util";
+import * as engine from "../engine.js";
+
+const ROOT = path.resolve(path.dirname(url.fileURLToPath(import.meta.url)), "..");
+const HISTOGRAM_BUCKET = 10; // points per score histogram bar
+
+const STRATEGIES = {
+  random: (game, rng) => {
+    const moves = legalSections(game);
+    return moves.length ? moves[Math.floor(engine.random(rng) * moves.length)] : null;
+  },
+  greedy: (game) => bestSection(game, trial => currentLineScore(trial).FP),
+  junction: (game) => bestSection(game, trial => engine.networkScore(trial).bonus * 1000 + currentLineScore(trial).FP),
+};
+
+
+/* Map and rules ───────────────────────────────────────────────────────────── */
+// Same normalization as loadMapPack() in main.js: stations/lines inline or as paths
+function loadMapPack(file) {
+  const packPath = path.resolve(ROOT, file);
+  const pack = JSON.parse(fs.readFileSync(packPath, "utf8"));
+  const part = (v) => (typeof v === "string"
+    ? JSON.parse(fs.readFileSync(path.resolve(path.dirname(packPath), v), "utf8"))
+    : v);
+  return {
+    id: pack.id,
+    name: pack.name || pack.id,
+    grid: { cols: pack.grid?.cols ?? 10, rows: pack.grid?.rows ?? 10 },
+    river: Array.isArray(pack.river?.points) ? pack.river.points : [],
+    transferStation: pack.transferStation ?? null,
+    stations: part(pack.stations),
+    lines: part(pack.lines),
+  };
+}
+
+function rulesFromOption(value) {
+  const rules = engine.RULE_PRESETS[value] || engine.parseRulesKey(value);
+  if (!rules) throw new Error(`Unknown rules "${value}" (use a preset name or a key like "8/5/1+1/2-5-9/T")`);
+  return engine.normalizeRules(rules);
+}
+
+
+/* Strategies ──────────────────────────────────────────────────────────────── */
+function legalSections(game) {
+  const moves = [];
+  for (const [from, targets] of game.legalMoves()) {
+    for (const to of targets) moves.push({ from, to });
+  }
+  return moves;
+}
+
+function currentLineScore(game) {
+  return engine.scoreLine(game, engine.ensureLineState(game, game.state.order[game.state.roundIndex]));
+}
+
+// The game with one more section on a copy of the current line (the game itself is untouched)
+function withSection(game, { from, to }) {
+  const lineId = game.state.order[game.state.roundIndex];
+  const LS = engine.ensureLineState(game, lineId);
+  const copy = {
+    segments: [...LS.segments],
+    endpoints: new Set(LS.endpoints),
+    visited: new Set(LS.visited),
+    doubled: new Set(LS.doubled),
+  };
+  const trial = {
+    ...game,
+    lineStates: new Map(game.lineStates).set(lineId, copy),
+    stationOwner: new Map(game.stationOwner),
+  };
+  engine.applySection(trial, from, to);
+  return trial;
+}
+
+// Highest-rated legal section (the first one on ties), or null without any
+function bestSection(game, rate) {
+  let best = null;
+  let bestValue = -Infinity;
+  for (const move of legalSections(game)) {
+    const value = rate(withSection(game, move));
+    if (value > bestValue) {
+      best = move;
+      bestValue = value;
+    }
+  }
+  return best;
+}
+
+
+/* Playing ─────────────────────────────────────────────────────────────────── */
+/**
+ * Play one game with a strategy. Returns { seed, order, rounds, score } where
+ * every round is { lineId, start, position, PK, PM, PD, FP, draws, early }
+ * (early: the center/side limit ended it before roundDraws).
+ */
+function playGame(pack, rules, strategy, seed) {
+  const game = engine.createGame({ ...pack, seed, rules }, pack.stations, pack.lines);
+  const rng = {};
+  engine.seedState(rng, `${seed}-moves`);
+  const choose = STRATEGIES[strategy];
+
+  const rounds = [];
+  while (!game.isOver()) {
+    while (game.draw()) {
+      const move = choose(game, rng);
+      if (!move) continue;
+      const problem = game.build(move.from, move.to);
+      if (problem) throw new Error(`${strategy} chose an illegal section ${move.from}-${move.to}: ${problem.message}`);
+    }
+    const draws = game.state.drawsThisRound;
+    const position = game.state.roundIndex + 1;
+    const start = game.currentLine().start;
+    const result = game.endRound();
+    rounds.push({ ...result, start, position, draws, early: draws < rules.roundDraws });
+  }
+  const { sumFP, PP, P2, P3, P4, bonus, objectives, total } = game.score();
+  return { seed, order: game.state.order, rounds, score: { sumFP, PP, P2, P3, P4, bonus, objectives, total } };
+}
+
+
+/* Statistics ──────────────────────────────────────────────────────────────── */
+const round2 = (n) => Math.round(n * 100) / 100;
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+function quantile(sorted, q) {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function distribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const avg = mean(sorted);
+  const sd = Math.sqrt(mean(sorted.map(v => (v - avg) ** 2)));
+  const histogram = {};
+  for (const v of sorted) {
+    const bucket = Math.floor(v / HISTOGRAM_BUCKET) * HISTOGRAM_BUCKET;
+    histogram[bucket] = (histogram[bucket] || 0) + 1;
+  }
+  return {
+    mean: round2(avg),
+    sd: round2(sd),
+    min: sorted[0] ?? 0,
+    p10: round2(quantile(sorted, 0.1)),
+    p25: round2(quantile(sorted, 0.25)),
+    median: round2(quantile(sorted, 0.5)),
+    p75: round2(quantile(sorted, 0.75)),
+    p90: round2(quantile(sorted, 0.9)),
+    max: sorted[sorted.length - 1] ?? 0,
+    histogram,
+  };
+}
+
+// Summary of one strategy's games (the JSON export, per strategy)
+function summarize(pack, games) {
+  const rounds = games.flatMap(g => g.rounds);
+  const board = engine.createBoard(pack);
+  const lineName = (lineId) => engine.lineName(board, lineId);
+  const averages = (list) => ({
+    rounds: list.length,
+    PK: round2(mean(list.map(r => r.PK))),
+    PM: round2(mean(list.map(r => r.PM))),
+    PD: round2(mean(list.map(r => r.PD))),
+    FP: round2(mean(list.map(r => r.FP))),
+  });
+
+  const lines = pack.lines.map(line => ({
+    lineId: line.id,
+    name: lineName(line.id),
+    ...averages(rounds.filter(r => r.lineId === line.id)),
+  }));
+
+  const positions = pack.lines.map((_, i) => i + 1);
+  const startStations = pack.lines
+    .map(line => {
+      const own = rounds.filter(r => r.lineId === line.id);
+      return {
+        station: line.start,
+        line: lineName(line.id),
+        FP: round2(mean(own.map(r => r.FP))),
+        byPosition: Object.fromEntries(positions.map(p =>
+          [p, round2(mean(own.filter(r => r.position === p).map(r => r.FP)))])),
+      };
+    })
+    .sort((a, b) => b.FP - a.FP);
+
+  const early = rounds.filter(r => r.early).length;
+  return {
+    games: games.length,
+    score: distribution(games.map(g => g.score.total)),
+    sumFP: round2(mean(games.map(g => g.score.sumFP))),
+    PP: round2(mean(games.map(g => g.score.PP))),
+    junctions: {
+      P2: round2(mean(games.map(g => g.score.P2))),
+      P3: round2(mean(games.map(g => g.score.P3))),
+      P4: round2(mean(games.map(g => g.score.P4))),
+    },
+    objectives: round2(mean(games.map(g => g.score.objectives))),
+    lines,
+    earlyRoundEnds: {
+      rounds: early,
+      share: round2(rounds.length ? early / rounds.length : 0),
+      averageDraws: round2(mean(rounds.map(r => r.draws))),
+    },
+    startStations,
+  };
+}
+
+
+/* Output ──────────────────────────────────────────────────────────────────── */
+function printReport(config, summaries) {
+  const out = [];
+  out.push(`Map ${config.map} · rules ${config.rules.name} (${engine.rulesKey(config.rules)}) · ${config.games} games per strategy · seed "${config.seed}"`);
+  for (const [strategy, s] of Object.entries(summaries)) {
+    const { score } = s;
+    out.push("", `== ${strategy}`);
+    out.push(`Final score  mean ${score.mean} ± ${score.sd}  min ${score.min}  p10 ${score.p10}  median ${score.median}  p90 ${score.p90}  max ${score.max}`);
+    out.push(`             Sum(FP) ${s.sumFP}  PP ${s.PP}  P2 ${s.junctions.P2}  P3 ${s.junctions.P3}  P4 ${s.junctions.P4}  objectives ${s.objectives}`);
+    const peak = Math.max(...Object.values(score.histogram));
+    for (const [bucket, count] of Object.entries(score.histogram).sort((a, b) => a[0] - b[0])) {
+      const label = `${bucket}–${Number(bucket) + HISTOGRAM_BUCKET - 1}`.padStart(9);
+      out.push(`  ${label} ${"█".repeat(Math.max(1, Math.round((count / peak) * 40)))} ${count}`);
+    }
+    out.push("Per line     PK     PM     PD     FP");
+    for (const l of s.lines) {
+      out.push(`  ${l.name.padEnd(8)} ${[l.PK, l.PM, l.PD, l.FP].map(v => v.toFixed(2).padStart(6)).join(" ")}`);
+    }
+    const e = s.earlyRoundEnds;
+    out.push(`Rounds ended early by the center/side limit: ${e.rounds} (${Math.round(e.share * 100)}%), ${e.averageDraws} draws per round`);
+    out.push(`Start stations (avg FP; by round position ${Object.keys(s.startStations[0]?.byPosition || {}).join("/")})`);
+    for (const st of s.startStations) {
+      out.push(`  ${String(st.station).padStart(3)} ${st.line.padEnd(8)} ${st.FP.toFixed(2).padStart(6)}   ${Object.values(st.byPosition).map(v => v.toFixed(1)).join(" / ")}`);
+    }
+  }
+  console.log(out.join("\n"));
+}
+
+// One row per game: totals, then FP and early flag per line
+function toCsv(pack, results) {
+  const lineIds = pack.lines.map(l => l.id);
+  const board = engine.createBoard(pack);
+  const names = lineIds.map(id => engine.lineName(board, id));
+  const header = ["strategy", "seed", "order", "total", "sumFP", "PP", "P2", "P3", "P4", "objectives",
+    ...names.flatMap(n => [`${n}_PK`, `${n}_PM`, `${n}_PD`, `${n}_FP`, `${n}_early`])];
+  const rows = [header.join(",")];
+  for (const [strategy, games] of Object.entries(results)) {
+    for (const g of games) {
+      const byLine = new Map(g.rounds.map(r => [r.lineId, r]));
+      rows.push([
+        strategy, g.seed, g.order.map(id => names[lineIds.indexOf(id)]).join(" "),
+        g.score.total, g.score.sumFP, g.score.PP, g.score.P2, g.score.P3, g.score.P4, g.score.objectives,
+        ...lineIds.flatMap(id => {
+          const r = byLine.get(id);
+          return r ? [r.PK, r.PM, r.PD, r.FP, r.early ? 1 : 0] : ["", "", "", "", ""];
+        }),
+      ].join(","));
+    }
+  }
+  return rows.join("\n") + "\n";
+}
+
+
+/* Main ────────────────────────────────────────────────────────────────────── */
+function main() {
+  const { values } = parseArgs({
+    options: {
+      games:    { type: "string", default: "1000" },
+      strategy: { type: "string", default: "all" },
+      rules:    { type: "string", default: "standard" },
+      map:      { type: "string", default: "maps/budapest.json" },
+      seed:     { type: "string", default: "sim" },
+      json:     { type: "string" },
+      csv:      { type: "string" },
+    },
+  });
+
+  const games = Number(values.games);
+  if (!Number.isInteger(games) || games < 1) throw new Error(`--games must be a positive whole number (got "${values.games}")`);
+  const strategies = values.strategy === "all" ? Object.keys(STRATEGIES) : values.strategy.split(",");
+  for (const s of strategies) {
+    if (!STRATEGIES[s]) throw new Error(`Unknown strategy "${s}" (use ${Object.keys(STRATEGIES).join(", ")} or all)`);
+  }
+  const pack = loadMapPack(values.map);
+  const rules = rulesFromOption(values.rules);
+  const config = { map: pack.id, rules, games, seed: values.seed, strategies };
+
+  const results = {};
+  const summaries = {};
+  for (const strategy of strategies) {
+    const started = Date.now();
+    results[strategy] = [];
+    for (let i = 0; i < games; i++) {
+      results[strategy].push(playGame(pack, rules, strategy, `${values.seed}-${i}`));
+    }
+    summaries[strategy] = summarize(pack, results[strategy]);
+    console.error(`${strategy}: ${games} games in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  }
+
+  printReport(config, summaries);
+  if (values.json) {
+    fs.writeFileSync(values.json, JSON.stringify({ ...config, rules: engine.rulesKey(rules), strategies: summaries }, null, 2) + "\n");
+  }
+  if (values.csv) fs.writeFileSync(values.csv, toCsv(pack, results));
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`simulate: ${e.message}`);
+  process.exitCode = 1;
+}